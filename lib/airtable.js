@@ -0,0 +1,300 @@
+// Shared Airtable data access for every route.
+//
+// - Requests are spaced out to stay under Airtable's per-base rate limit
+// - 429s, 5xx responses and network failures are retried with backoff
+// - List calls follow Airtable's `offset` pagination
+// - Batch writes are split into Airtable's 10-record chunks
+// - Failures are thrown as the typed errors below, each with an `httpStatus`
+//   the routes can answer with
+
+const AIRTABLE_API_URL = 'https://api.airtable.com/v0';
+const BATCH_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Keeps filterByFormula URLs well under Airtable's length limit
+const IDS_PER_FORMULA = 100;
+
+// ========== ERRORS ==========
+
+class AirtableError extends Error {
+  constructor(message, { status = null, type = null, table = null, httpStatus = 502 } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.type = type;
+    this.table = table;
+    this.httpStatus = httpStatus;
+  }
+}
+
+// AIRTABLE_TOKEN or AIRTABLE_BASE_ID is missing
+class AirtableConfigError extends AirtableError {
+  constructor(message = 'Airtable credentials are not configured') {
+    super(message, { httpStatus: 500 });
+  }
+}
+
+// Token rejected or lacks access to the base or table
+class AirtableAuthError extends AirtableError {
+  constructor(message, details) {
+    super(message, { ...details, httpStatus: 500 });
+  }
+}
+
+class AirtableNotFoundError extends AirtableError {
+  constructor(message, details) {
+    super(message, { ...details, httpStatus: 404 });
+  }
+}
+
+// Airtable rejected the request itself: unknown field, bad formula, stale offset...
+class AirtableValidationError extends AirtableError {
+  constructor(message, details) {
+    super(message, { ...details, httpStatus: 502 });
+  }
+}
+
+// Still rate limited after every retry
+class AirtableRateLimitError extends AirtableError {
+  constructor(message, details) {
+    super(message, { ...details, httpStatus: 503 });
+  }
+}
+
+// 5xx responses or network failures that outlasted the retries
+class AirtableUnavailableError extends AirtableError {
+  constructor(message, details) {
+    super(message, { ...details, httpStatus: 503 });
+  }
+}
+
+// ========== FORMULA HELPERS ==========
+
+// Escape a value for use inside a single-quoted Airtable formula string
+function escapeFormulaValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+function recordIdFormula(recordIds) {
+  return `OR(${recordIds.map(id => `RECORD_ID()='${escapeFormulaValue(id)}'`).join(',')})`;
+}
+
+// ========== CLIENT ==========
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function toAirtableError(response, table) {
+  const text = await response.text();
+  let type = null;
+  let message = `HTTP ${response.status}`;
+
+  try {
+    const data = JSON.parse(text);
+    if (typeof data.error === 'string') {
+      type = data.error;
+      message = data.error;
+    } else if (data.error) {
+      type = data.error.type || null;
+      message = data.error.message || type || message;
+    }
+  } catch (e) {
+    message = text || message;
+  }
+
+  const details = { status: response.status, type, table };
+  message = `Airtable API error (${table}): ${message}`;
+
+  if (response.status === 401 || response.status === 403) return new AirtableAuthError(message, details);
+  if (response.status === 404) return new AirtableNotFoundError(message, details);
+  if (response.status === 422 || response.status === 400) return new AirtableValidationError(message, details);
+  if (response.status === 429) return new AirtableRateLimitError(message, details);
+  if (response.status >= 500) return new AirtableUnavailableError(message, details);
+  return new AirtableError(message, details);
+}
+
+function createAirtableClient({
+  token,
+  baseId,
+  requestsPerSecond = 5,
+  maxRetries = 4,
+  retryBaseMs = 1000,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) {
+  const minInterval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  // Reserve the next free request slot so calls start at most
+  // `requestsPerSecond` times a second, however many run concurrently
+  async function waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + minInterval;
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  function backoff(attempt, response) {
+    const retryAfter = response && Number(response.headers.get('retry-after'));
+    if (retryAfter > 0) {
+      return retryAfter * 1000;
+    }
+    return retryBaseMs * 2 ** attempt + Math.floor(Math.random() * retryBaseMs / 2);
+  }
+
+  async function request(method, table, { path = '', query, body } = {}) {
+    if (!token || !baseId) {
+      throw new AirtableConfigError();
+    }
+
+    const url = `${AIRTABLE_API_URL}/${baseId}/${encodeURIComponent(table)}${path}${query && String(query) ? `?${query}` : ''}`;
+    // A create that fails mid-flight may still have been saved, so only
+    // rate-limit rejections (never processed) are retried for POST
+    const retryServerErrors = method !== 'POST';
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForSlot();
+
+      let response;
+      try {
+        response = await fetchImpl(url, {
+          method,
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: body ? JSON.stringify(body) : undefined
+        });
+      } catch (error) {
+        if (retryServerErrors && attempt < maxRetries) {
+          console.warn(`⏳ Airtable network error on ${method} ${table}, retrying:`, error.message);
+          await sleep(backoff(attempt));
+          continue;
+        }
+        throw new AirtableUnavailableError(`Airtable request failed (${table}): ${error.message}`, { table });
+      }
+
+      if (response.ok) {
+        return response.json();
+      }
+
+      const retryable = response.status === 429 || (retryServerErrors && response.status >= 500);
+      if (retryable && attempt < maxRetries) {
+        const delay = backoff(attempt, response);
+        console.warn(`⏳ Airtable ${response.status} on ${method} ${table}, retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      throw await toAirtableError(response, table);
+    }
+  }
+
+  // One page of records. Options: filterByFormula, sort ([{ field, direction }]),
+  // fields, pageSize, maxRecords, offset. Returns { records, offset }.
+  async function listPage(table, options = {}) {
+    const query = new URLSearchParams();
+    if (options.filterByFormula) query.set('filterByFormula', options.filterByFormula);
+    if (options.pageSize) query.set('pageSize', String(Math.min(options.pageSize, MAX_PAGE_SIZE)));
+    if (options.maxRecords) query.set('maxRecords', String(options.maxRecords));
+    if (options.offset) query.set('offset', options.offset);
+    (options.sort || []).forEach((sort, index) => {
+      query.set(`sort[${index}][field]`, sort.field);
+      query.set(`sort[${index}][direction]`, sort.direction || 'asc');
+    });
+    (options.fields || []).forEach(field => query.append('fields[]', field));
+
+    const data = await request('GET', table, { query });
+    return { records: data.records || [], offset: data.offset || null };
+  }
+
+  // Every record matching the options, following offsets
+  async function listAll(table, options = {}) {
+    const records = [];
+    let offset;
+
+    do {
+      const page = await listPage(table, { ...options, offset });
+      records.push(...page.records);
+      offset = page.offset;
+    } while (offset);
+
+    return records;
+  }
+
+  // A single record, or null when it does not exist
+  async function find(table, recordId) {
+    try {
+      return await request('GET', table, { path: `/${encodeURIComponent(recordId)}` });
+    } catch (error) {
+      if (error instanceof AirtableNotFoundError) return null;
+      throw error;
+    }
+  }
+
+  // Records by ID, in as many formula-sized requests as needed
+  async function findMany(table, recordIds) {
+    const records = [];
+    for (let i = 0; i < recordIds.length; i += IDS_PER_FORMULA) {
+      records.push(...await listAll(table, { filterByFormula: recordIdFormula(recordIds.slice(i, i + IDS_PER_FORMULA)) }));
+    }
+    return records;
+  }
+
+  async function inBatches(items, write) {
+    const results = [];
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      results.push(...await write(items.slice(i, i + BATCH_SIZE)));
+    }
+    return results;
+  }
+
+  // Create records from an array of field objects
+  function create(table, fieldsList) {
+    return inBatches(fieldsList, async (chunk) => {
+      const data = await request('POST', table, { body: { records: chunk.map(fields => ({ fields })) } });
+      return data.records;
+    });
+  }
+
+  // Patch records from an array of { id, fields }
+  function update(table, records) {
+    return inBatches(records, async (chunk) => {
+      const data = await request('PATCH', table, { body: { records: chunk } });
+      return data.records;
+    });
+  }
+
+  function destroy(table, recordIds) {
+    return inBatches(recordIds, async (chunk) => {
+      const query = new URLSearchParams();
+      chunk.forEach(id => query.append('records[]', id));
+      const data = await request('DELETE', table, { query });
+      return data.records;
+    });
+  }
+
+  return {
+    isConfigured: () => Boolean(token && baseId),
+    listPage,
+    listAll,
+    find,
+    findMany,
+    create,
+    update,
+    destroy
+  };
+}
+
+module.exports = {
+  createAirtableClient,
+  escapeFormulaValue,
+  recordIdFormula,
+  AirtableError,
+  AirtableConfigError,
+  AirtableAuthError,
+  AirtableNotFoundError,
+  AirtableValidationError,
+  AirtableRateLimitError,
+  AirtableUnavailableError
+};
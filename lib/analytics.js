@@ -0,0 +1,180 @@
+// Sales reports. Each function takes a list of sales already filtered to the
+// report window, shaped as:
+//   { orderDate (ms), status, total, refundAmount, country, assignedTo,
+//     lineItems: [{ productId, name, category, quantity, lineTotal }],
+//     history: [{ to, changedAt (ms) }] }
+// with every amount in the one currency the report is in.
+
+const INTERVALS = ['day', 'week', 'month'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Start of the day, Monday-based week or month holding `time`, in UTC
+function periodStart(time, interval) {
+  const date = new Date(time);
+  if (interval === 'month') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return interval === 'week' ? day - ((date.getUTCDay() + 6) % 7) * DAY_MS : day;
+}
+
+function nextPeriod(start, interval) {
+  if (interval === 'month') {
+    const date = new Date(start);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+  return start + (interval === 'week' ? 7 : 1) * DAY_MS;
+}
+
+// Days and weeks are labelled by their first day, months as YYYY-MM
+function periodLabel(start, interval) {
+  const iso = new Date(start).toISOString();
+  return interval === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+function salesTotals(sales) {
+  const revenue = sales.reduce((sum, sale) => sum + sale.total, 0);
+  const refunds = sales.reduce((sum, sale) => sum + sale.refundAmount, 0);
+  return {
+    orders: sales.length,
+    revenue: round2(revenue),
+    refunds: round2(refunds),
+    netRevenue: round2(revenue - refunds),
+    averageOrderValue: sales.length > 0 ? round2(revenue / sales.length) : 0
+  };
+}
+
+// Totals per period from `from` to `to` (defaulting to the first and last
+// sale), with empty periods included so charts have no gaps
+function salesOverTime(sales, { interval, from, to }) {
+  if (sales.length === 0 && (from === undefined || to === undefined)) return [];
+
+  const times = sales.map(sale => sale.orderDate);
+  const first = periodStart(from !== undefined ? from : times.reduce((a, b) => Math.min(a, b)), interval);
+  const last = periodStart(to !== undefined ? to : times.reduce((a, b) => Math.max(a, b)), interval);
+
+  const buckets = new Map();
+  for (let start = first; start <= last; start = nextPeriod(start, interval)) {
+    buckets.set(start, []);
+  }
+  sales.forEach(sale => {
+    const bucket = buckets.get(periodStart(sale.orderDate, interval));
+    if (bucket) bucket.push(sale);
+  });
+
+  return [...buckets].map(([start, periodSales]) => ({
+    period: periodLabel(start, interval),
+    ...salesTotals(periodSales)
+  }));
+}
+
+// Groups line items by `keyOf`, ranked by units sold then revenue
+function rankLineItems(sales, keyOf, describe, limit) {
+  const groups = new Map();
+  sales.forEach(sale => sale.lineItems.forEach(item => {
+    const key = keyOf(item);
+    const group = groups.get(key) || { ...describe(item), quantity: 0, revenue: 0, orders: new Set() };
+    group.quantity += item.quantity;
+    group.revenue += item.lineTotal;
+    group.orders.add(sale);
+    groups.set(key, group);
+  }));
+
+  return [...groups.values()]
+    .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+    .slice(0, limit)
+    .map(({ orders, ...group }) => ({ ...group, revenue: round2(group.revenue), orders: orders.size }));
+}
+
+function topProducts(sales, limit) {
+  return rankLineItems(sales, item => item.productId, item => ({ productId: item.productId, name: item.name }), limit);
+}
+
+function topCategories(sales, limit) {
+  return rankLineItems(sales, item => item.category || 'Uncategorised', item => ({ category: item.category || 'Uncategorised' }), limit);
+}
+
+// Order count and revenue per value of `keyOf`, largest revenue first
+function groupSales(sales, keyOf, keyName) {
+  const groups = new Map();
+  sales.forEach(sale => {
+    const key = keyOf(sale);
+    const group = groups.get(key) || { [keyName]: key, orders: 0, revenue: 0 };
+    group.orders += 1;
+    group.revenue += sale.total;
+    groups.set(key, group);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => b.revenue - a.revenue || b.orders - a.orders)
+    .map(group => ({ ...group, revenue: round2(group.revenue) }));
+}
+
+function ordersByStatus(sales) {
+  return groupSales(sales, sale => sale.status || 'Unknown', 'status');
+}
+
+function salesByCountry(sales) {
+  return groupSales(sales, sale => sale.country || 'Unknown', 'country');
+}
+
+// Share of orders with any refund, and share of revenue refunded
+function refundSummary(sales) {
+  const { orders, revenue, refunds } = salesTotals(sales);
+  const refundedOrders = sales.filter(sale => sale.refundAmount > 0).length;
+  return {
+    orders,
+    refundedOrders,
+    fullyRefundedOrders: sales.filter(sale => sale.status === 'Refunded').length,
+    refundRate: orders > 0 ? round2(refundedOrders / orders) : 0,
+    revenue,
+    refunds,
+    refundedShare: revenue > 0 ? round2(refunds / revenue) : 0
+  };
+}
+
+// The first time a sale's history reached `status`
+function reachedAt(sale, status) {
+  const entry = sale.history.find(change => change.to === status);
+  return entry ? entry.changedAt : null;
+}
+
+// Per 'Assigned To': orders assigned, orders shipped and the average hours
+// from Paid to Shipped. Orders placed as Paid count from their order date.
+function staffThroughput(sales) {
+  const groups = new Map();
+  sales.filter(sale => sale.assignedTo).forEach(sale => {
+    const group = groups.get(sale.assignedTo) || { assignedTo: sale.assignedTo, assigned: 0, shipped: 0, hours: [] };
+    group.assigned += 1;
+
+    const shippedAt = reachedAt(sale, 'Shipped');
+    if (shippedAt !== null) {
+      group.shipped += 1;
+      const paidAt = reachedAt(sale, 'Paid') || sale.orderDate;
+      if (shippedAt >= paidAt) group.hours.push((shippedAt - paidAt) / HOUR_MS);
+    }
+    groups.set(sale.assignedTo, group);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => b.shipped - a.shipped || b.assigned - a.assigned)
+    .map(({ hours, ...group }) => ({
+      ...group,
+      averageHoursPaidToShipped: hours.length > 0 ? round2(hours.reduce((sum, value) => sum + value, 0) / hours.length) : null
+    }));
+}
+
+module.exports = {
+  INTERVALS,
+  salesTotals,
+  salesOverTime,
+  topProducts,
+  topCategories,
+  ordersByStatus,
+  salesByCountry,
+  refundSummary,
+  staffThroughput
+};
@@ -0,0 +1,79 @@
+// Aramex through the Aramex Shipment Tracking API. Waybill numbers are 11
+// digits. Polling needs the account's `username`, `password`, `accountNumber`,
+// `accountPin`, `accountEntity` and `accountCountryCode`; pushed updates use the
+// same `TrackingResults` shape as tracking responses.
+
+const { CarrierError } = require('./errors');
+
+const API_URL = 'https://ws.aramex.net/ShippingAPI.V2/Tracking/Service_1_0.svc/json/TrackShipments';
+
+// Aramex update codes that mark a delivery step; any other code is treated as in transit
+const STATUS_CODES = {
+  SH003: 'out_for_delivery',
+  SH005: 'delivered',
+  SH006: 'delivered'
+};
+
+// Aramex sends dates as "/Date(1700000000000+0545)/"
+function parseAramexDate(value) {
+  const match = /\/Date\((-?\d+)/.exec(String(value || ''));
+  return match ? new Date(Number(match[1])).toISOString() : null;
+}
+
+function createAramexAdapter({ credentials = {}, fetch }) {
+  return {
+    id: 'aramex',
+    name: 'Aramex',
+    example: '12345678901',
+    pollable: Boolean(credentials.username && credentials.password && credentials.accountNumber),
+    isValid: (trackingNumber) => /^\d{11}$/.test(trackingNumber),
+    trackingUrl: (trackingNumber) => `https://www.aramex.com/track/results?ShipmentNumber=${encodeURIComponent(trackingNumber)}`,
+
+    async request(trackingNumber) {
+      const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({
+          ClientInfo: {
+            UserName: credentials.username,
+            Password: credentials.password,
+            Version: 'v1.0',
+            AccountNumber: credentials.accountNumber,
+            AccountPin: credentials.accountPin,
+            AccountEntity: credentials.accountEntity,
+            AccountCountryCode: credentials.accountCountryCode,
+            Source: 24
+          },
+          Shipments: [trackingNumber],
+          GetLastTrackingUpdateOnly: false
+        })
+      });
+      if (!response.ok) {
+        throw new CarrierError(`Aramex tracking request failed with HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (data.HasErrors) {
+        const messages = (data.Notifications || []).map(notification => notification.Message).join('; ');
+        throw new CarrierError(`Aramex tracking request failed: ${messages || 'unknown error'}`);
+      }
+      return data;
+    },
+
+    parse(body) {
+      const results = body && Array.isArray(body.TrackingResults) ? body.TrackingResults : [];
+      return results.flatMap(result => (result.Value || []).map(update => ({
+        trackingNumber: update.WaybillNumber || result.Key,
+        status: STATUS_CODES[update.UpdateCode] || 'in_transit',
+        occurredAt: parseAramexDate(update.UpdateDateTime),
+        description: update.UpdateDescription || '',
+        location: update.UpdateLocation || ''
+      })));
+    }
+  };
+}
+
+module.exports = {
+  createAramexAdapter,
+  parseAramexDate
+};
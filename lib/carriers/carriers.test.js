@@ -0,0 +1,82 @@
+// Checks every adapter against its recorded responses in fixtures/. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createCarriers, normalizeTrackingNumber, TRACKING_STATUSES } = require('.');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Statuses and locations each fixture should parse to, oldest first
+const EXPECTED = {
+  'dhl/1234567890': [
+    ['pre_transit', 'KATHMANDU - NEPAL'],
+    ['in_transit', 'KATHMANDU - NEPAL'],
+    ['in_transit', 'LONDON - UK'],
+    ['delivered', 'LONDON - UK']
+  ],
+  'fedex/123456789012': [
+    ['in_transit', 'KATHMANDU, NP'],
+    ['out_for_delivery', 'NEW YORK, US'],
+    ['delivered', 'NEW YORK, US']
+  ],
+  'aramex/12345678901': [
+    ['in_transit', 'Kathmandu, Nepal'],
+    ['out_for_delivery', 'Dubai, United Arab Emirates']
+  ],
+  'nepalpost/EE123456785NP': [
+    ['in_transit', 'Kathmandu'],
+    ['in_transit', 'London'],
+    ['out_for_delivery', 'London E1']
+  ]
+};
+
+const fixtures = fs.readdirSync(FIXTURES_DIR).flatMap(carrierId => fs.readdirSync(path.join(FIXTURES_DIR, carrierId))
+  .map(file => ({ carrierId, trackingNumber: path.basename(file, '.json'), file: path.join(FIXTURES_DIR, carrierId, file) })));
+
+const carriers = createCarriers({
+  fixturesDir: FIXTURES_DIR,
+  fetch: () => {
+    throw new Error('Fixture tests must not reach a carrier API');
+  }
+});
+
+test('every fixture has expected events', () => {
+  assert.deepEqual(fixtures.map(({ carrierId, trackingNumber }) => `${carrierId}/${trackingNumber}`).sort(), Object.keys(EXPECTED).sort());
+});
+
+for (const { carrierId, trackingNumber, file } of fixtures) {
+  const expected = EXPECTED[`${carrierId}/${trackingNumber}`] || [];
+
+  test(`${carrierId} fixture ${trackingNumber} is a valid ${carrierId} number`, () => {
+    assert.equal(carriers.isValid(carrierId, trackingNumber), true);
+    assert.equal(carriers.detect(trackingNumber), carrierId);
+  });
+
+  test(`${carrierId} fixture ${trackingNumber} parses when polled`, async () => {
+    const events = await carriers.track(carrierId, trackingNumber);
+
+    assert.deepEqual(events.map(event => [event.status, event.location]), expected);
+    events.forEach(event => {
+      assert.equal(event.trackingNumber, trackingNumber);
+      assert.ok(TRACKING_STATUSES.includes(event.status));
+      assert.ok(!Number.isNaN(Date.parse(event.occurredAt)), `occurredAt ${event.occurredAt} is a date`);
+    });
+    const times = events.map(event => Date.parse(event.occurredAt));
+    assert.deepEqual(times, [...times].sort((a, b) => a - b));
+  });
+
+  test(`${carrierId} fixture ${trackingNumber} parses as a webhook body`, async () => {
+    const body = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(carriers.parseWebhook(carrierId, body), await carriers.track(carrierId, trackingNumber));
+  });
+}
+
+test('tracking numbers are polled in normalized form', async () => {
+  assert.equal(normalizeTrackingNumber(' ee 123456785np '), 'EE123456785NP');
+  assert.equal((await carriers.track('nepalpost', 'ee 1234 5678 5np')).length, EXPECTED['nepalpost/EE123456785NP'].length);
+});
+
+test('numbers without a fixture have no events', async () => {
+  assert.deepEqual(await carriers.track('dhl', '0000000000'), []);
+});
@@ -0,0 +1,63 @@
+// DHL Express through DHL's Shipment Tracking - Unified API. Waybill numbers are
+// ten digits. Polling needs `apiKey`; DHL's push notifications use the same
+// `shipments` shape as tracking responses.
+
+const { CarrierError } = require('./errors');
+
+const API_URL = 'https://api-eu.dhl.com/track/shipments';
+
+const STATUS_CODES = {
+  'pre-transit': 'pre_transit',
+  transit: 'in_transit',
+  delivered: 'delivered',
+  failure: 'exception',
+  unknown: 'unknown'
+};
+
+function toEvent(trackingNumber, event) {
+  const address = event.location && event.location.address;
+  return {
+    trackingNumber,
+    status: STATUS_CODES[event.statusCode] || 'unknown',
+    occurredAt: event.timestamp,
+    description: event.description || event.status || '',
+    location: (address && address.addressLocality) || ''
+  };
+}
+
+function createDhlAdapter({ credentials = {}, fetch }) {
+  return {
+    id: 'dhl',
+    name: 'DHL Express',
+    example: '1234567890',
+    pollable: Boolean(credentials.apiKey),
+    isValid: (trackingNumber) => /^\d{10}$/.test(trackingNumber),
+    trackingUrl: (trackingNumber) => `https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id=${encodeURIComponent(trackingNumber)}`,
+
+    async request(trackingNumber) {
+      const response = await fetch(`${API_URL}?service=express&trackingNumber=${encodeURIComponent(trackingNumber)}`, {
+        headers: { 'DHL-API-Key': credentials.apiKey, Accept: 'application/json' }
+      });
+      // DHL answers 404 until it has scanned the shipment
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new CarrierError(`DHL tracking request failed with HTTP ${response.status}`);
+      }
+      return response.json();
+    },
+
+    // Every event of every shipment; the shipment's current status stands in
+    // when DHL leaves out the event list
+    parse(body) {
+      const shipments = body && Array.isArray(body.shipments) ? body.shipments : [];
+      return shipments.flatMap(shipment => {
+        const events = Array.isArray(shipment.events) && shipment.events.length > 0 ? shipment.events : [shipment.status];
+        return events.filter(Boolean).map(event => toEvent(shipment.id, event));
+      });
+    }
+  };
+}
+
+module.exports = {
+  createDhlAdapter
+};
@@ -0,0 +1,14 @@
+// Errors from carrier tracking APIs. Like the storage errors, each carries the
+// `httpStatus` a route should answer with.
+
+class CarrierError extends Error {
+  constructor(message, httpStatus = 502) {
+    super(message);
+    this.name = this.constructor.name;
+    this.httpStatus = httpStatus;
+  }
+}
+
+module.exports = {
+  CarrierError
+};
@@ -0,0 +1,118 @@
+// FedEx through the FedEx Track API. Tracking numbers are 12 (Express), 15
+// (Ground), 20 or 22 digits. Polling needs `clientId` and `clientSecret` for an
+// OAuth token; webhook pushes use the same `output.completeTrackResults` shape
+// as tracking responses.
+
+const { CarrierError } = require('./errors');
+
+const API_BASE = 'https://apis.fedex.com';
+// Refresh the OAuth token a minute before FedEx expires it
+const TOKEN_MARGIN_MS = 60 * 1000;
+
+// Derived status codes used on FedEx scan events
+const STATUS_CODES = {
+  OC: 'pre_transit',
+  PU: 'in_transit',
+  IT: 'in_transit',
+  AR: 'in_transit',
+  DP: 'in_transit',
+  CC: 'in_transit',
+  OD: 'out_for_delivery',
+  DL: 'delivered',
+  DE: 'exception',
+  SE: 'exception',
+  CA: 'exception'
+};
+
+function locationOf(scanLocation) {
+  return scanLocation ? [scanLocation.city, scanLocation.countryCode].filter(Boolean).join(', ') : '';
+}
+
+function trackResultEvents(result) {
+  const trackingNumber = result.trackingNumberInfo && result.trackingNumberInfo.trackingNumber;
+
+  if (Array.isArray(result.scanEvents) && result.scanEvents.length > 0) {
+    return result.scanEvents.map(scan => ({
+      trackingNumber,
+      status: STATUS_CODES[scan.derivedStatusCode] || 'unknown',
+      occurredAt: scan.date,
+      description: scan.eventDescription || '',
+      location: locationOf(scan.scanLocation)
+    }));
+  }
+
+  const latest = result.latestStatusDetail;
+  if (!latest) return [];
+
+  const delivered = (result.dateAndTimes || []).find(entry => entry.type === 'ACTUAL_DELIVERY');
+  return [{
+    trackingNumber,
+    status: STATUS_CODES[latest.code] || 'unknown',
+    occurredAt: delivered ? delivered.dateTime : null,
+    description: latest.description || latest.statusByLocale || '',
+    location: locationOf(latest.scanLocation)
+  }];
+}
+
+function createFedexAdapter({ credentials = {}, fetch }) {
+  let token = null;
+  let tokenExpiresAt = 0;
+
+  async function accessToken() {
+    if (token && Date.now() < tokenExpiresAt) return token;
+
+    const response = await fetch(`${API_BASE}/oauth/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: credentials.clientId,
+        client_secret: credentials.clientSecret
+      }).toString()
+    });
+    if (!response.ok) {
+      throw new CarrierError(`FedEx authentication failed with HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    token = data.access_token;
+    tokenExpiresAt = Date.now() + Number(data.expires_in || 0) * 1000 - TOKEN_MARGIN_MS;
+    return token;
+  }
+
+  return {
+    id: 'fedex',
+    name: 'FedEx',
+    example: '123456789012',
+    pollable: Boolean(credentials.clientId && credentials.clientSecret),
+    isValid: (trackingNumber) => /^(\d{12}|\d{15}|\d{20}|\d{22})$/.test(trackingNumber),
+    trackingUrl: (trackingNumber) => `https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(trackingNumber)}`,
+
+    async request(trackingNumber) {
+      const response = await fetch(`${API_BASE}/track/v1/trackingnumbers`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await accessToken()}` },
+        body: JSON.stringify({
+          includeDetailedScans: true,
+          trackingInfo: [{ trackingNumberInfo: { trackingNumber } }]
+        })
+      });
+      if (!response.ok) {
+        throw new CarrierError(`FedEx tracking request failed with HTTP ${response.status}`);
+      }
+      return response.json();
+    },
+
+    parse(body) {
+      const complete = body && body.output && Array.isArray(body.output.completeTrackResults) ? body.output.completeTrackResults : [];
+      return complete
+        .flatMap(entry => entry.trackResults || [])
+        .filter(result => !result.error)
+        .flatMap(trackResultEvents);
+    }
+  };
+}
+
+module.exports = {
+  createFedexAdapter
+};
@@ -0,0 +1,130 @@
+// Carrier tracking. One adapter per carrier checks tracking-number formats, builds
+// tracking links, fetches tracking events and reads pushed updates. Adapters turn
+// their carrier's responses into the same events:
+//   { trackingNumber, status, occurredAt (ISO), description, location }
+// with `status` one of TRACKING_STATUSES.
+//
+// With `fixturesDir`, tracking requests are answered from recorded responses in
+// <fixturesDir>/<carrier>/<trackingNumber>.json instead of the carrier's API, so
+// the adapters run in development and CI without credentials.
+
+const fs = require('fs');
+const path = require('path');
+const { CarrierError } = require('./errors');
+const { createNepalPostAdapter } = require('./nepalpost');
+const { createDhlAdapter } = require('./dhl');
+const { createFedexAdapter } = require('./fedex');
+const { createAramexAdapter } = require('./aramex');
+
+const TRACKING_STATUSES = ['pre_transit', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'unknown'];
+
+const ADAPTER_FACTORIES = {
+  nepalpost: createNepalPostAdapter,
+  dhl: createDhlAdapter,
+  fedex: createFedexAdapter,
+  aramex: createAramexAdapter
+};
+const CARRIER_IDS = Object.keys(ADAPTER_FACTORIES);
+
+// Staff type tracking numbers with spaces and in any case
+function normalizeTrackingNumber(trackingNumber) {
+  return String(trackingNumber || '').replace(/\s+/g, '').toUpperCase();
+}
+
+// Events any carrier may send in the common format, as one event or { events: [...] }
+function parseCommonEvents(body) {
+  const events = body && Array.isArray(body.events) ? body.events : [body];
+  return events
+    .filter(event => event && typeof event.trackingNumber === 'string' && TRACKING_STATUSES.includes(event.status))
+    .map(event => ({
+      trackingNumber: event.trackingNumber,
+      status: event.status,
+      occurredAt: event.occurredAt || null,
+      description: String(event.description || ''),
+      location: String(event.location || '')
+    }));
+}
+
+// Oldest first; undated events sort before dated ones
+function sortEvents(events) {
+  return events
+    .map(event => ({ ...event, trackingNumber: normalizeTrackingNumber(event.trackingNumber) }))
+    .sort((a, b) => (Date.parse(a.occurredAt) || 0) - (Date.parse(b.occurredAt) || 0));
+}
+
+// `credentials` is keyed by carrier ID, e.g. { dhl: { apiKey } }
+function createCarriers({ credentials = {}, fixturesDir, fetch = global.fetch } = {}) {
+  const adapters = new Map(CARRIER_IDS.map(id => [id, ADAPTER_FACTORIES[id]({ credentials: credentials[id] || {}, fetch })]));
+
+  function adapterFor(carrierId) {
+    const adapter = adapters.get(carrierId);
+    if (!adapter) {
+      throw new CarrierError(`Unknown carrier "${carrierId}"`, 400);
+    }
+    return adapter;
+  }
+
+  const isPollable = (adapter) => Boolean(fixturesDir) || adapter.pollable;
+
+  async function readFixture(carrierId, trackingNumber) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(fixturesDir, carrierId, `${trackingNumber}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // A carrier's own format first, then the common one
+  function parseEvents(adapter, body) {
+    const native = adapter.parse(body);
+    return sortEvents(native.length > 0 ? native : parseCommonEvents(body));
+  }
+
+  return {
+    list: () => [...adapters.values()].map(adapter => ({
+      id: adapter.id,
+      name: adapter.name,
+      example: adapter.example,
+      pollable: isPollable(adapter)
+    })),
+
+    get: (carrierId) => adapters.get(carrierId) || null,
+
+    isPollable: (carrierId) => adapters.has(carrierId) && isPollable(adapters.get(carrierId)),
+
+    isValid: (carrierId, trackingNumber) => adapterFor(carrierId).isValid(normalizeTrackingNumber(trackingNumber)),
+
+    // The one carrier whose format the number fits, or null
+    detect(trackingNumber) {
+      const normalized = normalizeTrackingNumber(trackingNumber);
+      const matches = [...adapters.values()].filter(adapter => adapter.isValid(normalized));
+      return matches.length === 1 ? matches[0].id : null;
+    },
+
+    trackingUrl: (carrierId, trackingNumber) => adapterFor(carrierId).trackingUrl(normalizeTrackingNumber(trackingNumber)),
+
+    // Current tracking events for one shipment, oldest first
+    async track(carrierId, trackingNumber) {
+      const adapter = adapterFor(carrierId);
+      const normalized = normalizeTrackingNumber(trackingNumber);
+      if (!isPollable(adapter)) {
+        throw new CarrierError(`${adapter.name} tracking cannot be polled`, 400);
+      }
+
+      const body = fixturesDir ? await readFixture(carrierId, normalized) : await adapter.request(normalized);
+      return body ? parseEvents(adapter, body).filter(event => event.trackingNumber === normalized) : [];
+    },
+
+    // Events in a webhook body, in the carrier's own format or the common one
+    parseWebhook: (carrierId, body) => parseEvents(adapterFor(carrierId), body)
+  };
+}
+
+module.exports = {
+  createCarriers,
+  normalizeTrackingNumber,
+  CarrierError,
+  CARRIER_IDS,
+  TRACKING_STATUSES
+};
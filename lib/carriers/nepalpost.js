@@ -0,0 +1,33 @@
+// Nepal Post EMS and registered mail. Numbers use the UPU S10 format, such as
+// EE123456789NP: two letters, eight digits, a check digit and the country code.
+// Nepal Post has no tracking API, so its events arrive through the webhook in
+// the common event format only.
+
+const S10_PATTERN = /^[A-Z]{2}(\d{8})(\d)NP$/;
+const S10_WEIGHTS = [8, 6, 4, 2, 3, 5, 9, 7];
+
+function s10CheckDigit(serial) {
+  const sum = serial.split('').reduce((total, digit, index) => total + Number(digit) * S10_WEIGHTS[index], 0);
+  const check = 11 - (sum % 11);
+  return check === 10 ? 0 : check === 11 ? 5 : check;
+}
+
+function createNepalPostAdapter() {
+  return {
+    id: 'nepalpost',
+    name: 'Nepal Post EMS',
+    example: 'EE123456785NP',
+    pollable: false,
+    isValid(trackingNumber) {
+      const match = S10_PATTERN.exec(trackingNumber);
+      return Boolean(match) && s10CheckDigit(match[1]) === Number(match[2]);
+    },
+    trackingUrl: (trackingNumber) => `https://parcelsapp.com/en/tracking/${encodeURIComponent(trackingNumber)}`,
+    parse: () => []
+  };
+}
+
+module.exports = {
+  createNepalPostAdapter,
+  s10CheckDigit
+};
@@ -0,0 +1,92 @@
+// Currencies the store shows prices and takes payment in. Catalog prices are
+// kept in USD and converted with a rate table (units of each currency per 1 USD).
+// Amounts sent to Stripe are in the currency's smallest unit: cents for
+// two-decimal currencies, whole units for zero-decimal ones.
+
+const BASE_CURRENCY = 'usd';
+
+const CURRENCIES = {
+  usd: { symbol: '$', decimals: 2 },
+  npr: { symbol: 'Rs ', decimals: 2 },
+  inr: { symbol: '₹', decimals: 2 },
+  eur: { symbol: '€', decimals: 2 },
+  gbp: { symbol: '£', decimals: 2 }
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+// Starting rates; set EXCHANGE_RATES to keep them current
+const DEFAULT_EXCHANGE_RATES = {
+  usd: 1,
+  npr: 133.5,
+  inr: 83.3,
+  eur: 0.92,
+  gbp: 0.79
+};
+
+// Amounts in an unknown currency (such as an old payment) are treated as two-decimal
+function currencyDecimals(currency) {
+  const config = CURRENCIES[String(currency || BASE_CURRENCY).toLowerCase()];
+  return config ? config.decimals : 2;
+}
+
+function toMinorUnits(amount, currency) {
+  return Math.round(Number(amount) * 10 ** currencyDecimals(currency));
+}
+
+function fromMinorUnits(units, currency) {
+  return Number(units) / 10 ** currencyDecimals(currency);
+}
+
+function formatMoney(amount, currency = BASE_CURRENCY) {
+  const code = String(currency).toLowerCase();
+  const config = CURRENCIES[code];
+  const value = Number(amount || 0).toFixed(currencyDecimals(code));
+  return config ? `${config.symbol}${value}` : `${value} ${code.toUpperCase()}`;
+}
+
+// Merge a JSON rate table such as {"npr":134.2,"eur":0.93} over the defaults.
+// Throws on unknown currencies or rates that are not positive numbers.
+function parseExchangeRates(json) {
+  const rates = { ...DEFAULT_EXCHANGE_RATES };
+  if (!json) return rates;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (error) {
+    throw new Error('EXCHANGE_RATES must be a JSON object of currency code to rate');
+  }
+
+  Object.entries(overrides || {}).forEach(([code, rate]) => {
+    const currency = code.toLowerCase();
+    if (!CURRENCIES[currency]) {
+      throw new Error(`EXCHANGE_RATES has unsupported currency "${code}" (supported: ${SUPPORTED_CURRENCIES.join(', ')})`);
+    }
+    if (typeof rate !== 'number' || !(rate > 0)) {
+      throw new Error(`EXCHANGE_RATES rate for "${code}" must be a positive number`);
+    }
+    rates[currency] = rate;
+  });
+
+  rates[BASE_CURRENCY] = 1;
+  return rates;
+}
+
+// Convert a USD amount into `currency` minor units at `rate`
+function convertToMinorUnits(baseAmount, currency, rate) {
+  return toMinorUnits(Number(baseAmount) * rate, currency);
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_EXCHANGE_RATES,
+  currencyDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+  parseExchangeRates,
+  convertToMinorUnits
+};
@@ -0,0 +1,21 @@
+// CSV for spreadsheet exports (RFC 4180 quoting, CRLF line ends). Text that a
+// spreadsheet would run as a formula is prefixed with an apostrophe.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+module.exports = {
+  csvRow
+};
@@ -0,0 +1,11 @@
+// Order documents for staff: CSV exports and printable PDFs (invoices, packing slips).
+
+const { csvRow } = require('./csv');
+const { createPdf, drawInvoice, drawPackingSlip } = require('./pdf');
+
+module.exports = {
+  csvRow,
+  createPdf,
+  drawInvoice,
+  drawPackingSlip
+};
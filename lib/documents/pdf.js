@@ -0,0 +1,215 @@
+// Invoices and packing slips drawn with pdfkit. Each draw function writes one
+// order onto the current page (adding pages as the item list needs), so a batch
+// of orders can share one document.
+//
+// `order` is the document view built in server.js: { orderId, orderDate,
+// customerName, customerEmail, customerPhone, shippingAddress, shippingService,
+// shippingWeight, trackingNumber, deliveryNotes, orderNotes, currency, lineItems,
+// orderItems, subtotal, discountCode, discount, shipping, tax, serviceFee, total,
+// refundAmount }. `business` is { name, address, email, phone, taxId }.
+
+const PDFDocument = require('pdfkit');
+const { currencyDecimals } = require('../currency');
+
+const MARGIN = 50;
+const GREY = '#555555';
+
+// The built-in fonts cover Latin text only; `fontFile` (a TTF or OTF) is used
+// instead when names or addresses need other scripts such as Devanagari
+function createPdf({ fontFile, title } = {}) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title || 'NepalGoods' } });
+  if (fontFile) {
+    doc.registerFont('Body', fontFile);
+    doc.registerFont('Bold', fontFile);
+  } else {
+    doc.registerFont('Body', 'Helvetica');
+    doc.registerFont('Bold', 'Helvetica-Bold');
+  }
+  return doc.font('Body');
+}
+
+// Currency codes rather than symbols, which the built-in fonts lack (₹)
+function money(amount, currency) {
+  const value = Number(amount || 0);
+  return `${value < 0 ? '-' : ''}${currency.toUpperCase()} ${Math.abs(value).toFixed(currencyDecimals(currency))}`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+function contentWidth(doc) {
+  return doc.page.width - MARGIN * 2;
+}
+
+function drawBusinessHeader(doc, business, title) {
+  const top = doc.y;
+  doc.font('Bold').fontSize(18).text(business.name, MARGIN, top);
+  doc.font('Body').fontSize(9).fillColor(GREY);
+  [business.address, business.email, business.phone, business.taxId && `Tax ID: ${business.taxId}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  const bottom = doc.y;
+
+  doc.fillColor('black').font('Bold').fontSize(20)
+    .text(title, MARGIN, top, { width: contentWidth(doc), align: 'right' });
+  doc.font('Body');
+  doc.y = Math.max(bottom, doc.y) + 20;
+}
+
+// Two labelled blocks side by side, such as "Bill to" and "Ship to"
+function drawAddressBlocks(doc, blocks) {
+  const top = doc.y;
+  const width = contentWidth(doc) / blocks.length;
+  let bottom = top;
+
+  blocks.forEach(({ label, lines }, index) => {
+    doc.font('Bold').fontSize(10).text(label, MARGIN + index * width, top, { width: width - 10 });
+    doc.font('Body').fontSize(10);
+    lines.filter(Boolean).forEach(line => doc.text(line, { width: width - 10 }));
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.y = bottom + 20;
+}
+
+function drawDetails(doc, details) {
+  doc.fontSize(10);
+  details.filter(([, value]) => value).forEach(([label, value]) => {
+    doc.font('Bold').text(`${label}: `, MARGIN, doc.y, { continued: true }).font('Body').text(String(value));
+  });
+  doc.moveDown();
+}
+
+// Columns are { label, width (share of the page), align }; the header repeats on new pages
+function drawTable(doc, columns, rows) {
+  const width = contentWidth(doc);
+  const positions = [];
+  columns.reduce((x, column) => {
+    positions.push({ x, width: column.width * width });
+    return x + column.width * width;
+  }, MARGIN);
+
+  const drawRow = (cells, font) => {
+    const top = doc.y;
+    let bottom = top;
+    doc.font(font).fontSize(10);
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), positions[index].x, top, { width: positions[index].width - 6, align: columns[index].align || 'left' });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 4;
+  };
+
+  const drawHeader = () => {
+    drawRow(columns.map(column => column.label), 'Bold');
+    doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + width, doc.y).strokeColor('#cccccc').stroke();
+    doc.y += 4;
+  };
+
+  drawHeader();
+  rows.forEach(cells => {
+    if (doc.y > doc.page.height - MARGIN - 40) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(cells, 'Body');
+  });
+  doc.font('Body');
+  doc.y += 10;
+}
+
+// Orders from before line items were stored only have the 'Order Items' text
+function itemsOrSummary(doc, order, drawItems) {
+  if (order.lineItems.length > 0) {
+    drawItems();
+  } else {
+    doc.fontSize(10).text(order.orderItems || 'No item details recorded', MARGIN, doc.y);
+    doc.moveDown();
+  }
+}
+
+function drawInvoice(doc, order, business) {
+  const { currency } = order;
+
+  drawBusinessHeader(doc, business, 'INVOICE');
+  drawDetails(doc, [
+    ['Invoice number', order.orderId],
+    ['Order date', formatDate(order.orderDate)],
+    ['Currency', currency.toUpperCase()]
+  ]);
+  drawAddressBlocks(doc, [
+    { label: 'Bill to', lines: [order.customerName, order.customerEmail, order.customerPhone] },
+    { label: 'Ship to', lines: [order.customerName, order.shippingAddress] }
+  ]);
+
+  itemsOrSummary(doc, order, () => drawTable(doc, [
+    { label: 'Item', width: 0.44 },
+    { label: 'Size', width: 0.12 },
+    { label: 'Qty', width: 0.1, align: 'right' },
+    { label: 'Unit price', width: 0.17, align: 'right' },
+    { label: 'Amount', width: 0.17, align: 'right' }
+  ], order.lineItems.map(item => [
+    item.name,
+    item.size || '-',
+    item.quantity,
+    money(item.unitPrice, currency),
+    money(item.lineTotal, currency)
+  ])));
+
+  const totals = [
+    ['Subtotal', order.subtotal],
+    order.discount ? [`Discount${order.discountCode ? ` (${order.discountCode})` : ''}`, -order.discount] : null,
+    [`Shipping${order.shippingService ? ` (${order.shippingService})` : ''}`, order.shipping],
+    ['Tax', order.tax],
+    order.serviceFee ? ['Service fee', order.serviceFee] : null,
+    ['Total', order.total],
+    order.refundAmount ? ['Refunded', -order.refundAmount] : null
+  ].filter(Boolean);
+
+  const labelX = MARGIN + contentWidth(doc) * 0.5;
+  const labelWidth = contentWidth(doc) * 0.3;
+  const amountWidth = contentWidth(doc) * 0.2;
+  totals.forEach(([label, amount]) => {
+    const top = doc.y;
+    doc.font(label === 'Total' ? 'Bold' : 'Body').fontSize(10)
+      .text(label, labelX, top, { width: labelWidth, align: 'right' })
+      .text(money(amount, currency), labelX + labelWidth, top, { width: amountWidth - 6, align: 'right' });
+  });
+
+  doc.font('Body').moveDown(2).fontSize(9).fillColor(GREY)
+    .text(`Goods shipped from Nepal${order.shippingWeight ? `, total weight ${order.shippingWeight} kg` : ''}.`, MARGIN, doc.y)
+    .text('Thank you for shopping with us.')
+    .fillColor('black');
+}
+
+function drawPackingSlip(doc, order, business) {
+  drawBusinessHeader(doc, business, 'PACKING SLIP');
+  drawDetails(doc, [
+    ['Order', order.orderId],
+    ['Order date', formatDate(order.orderDate)],
+    ['Shipping service', order.shippingService],
+    ['Tracking number', order.trackingNumber]
+  ]);
+  drawAddressBlocks(doc, [
+    { label: 'Ship to', lines: [order.customerName, order.shippingAddress, order.customerPhone] },
+    { label: 'Return address', lines: [business.name, business.address] }
+  ]);
+
+  itemsOrSummary(doc, order, () => drawTable(doc, [
+    { label: 'Item', width: 0.6 },
+    { label: 'Size', width: 0.2 },
+    { label: 'Qty', width: 0.2, align: 'right' }
+  ], order.lineItems.map(item => [item.name, item.size || '-', item.quantity])));
+
+  drawDetails(doc, [
+    ['Delivery notes', order.deliveryNotes],
+    ['Order notes', order.orderNotes]
+  ]);
+}
+
+module.exports = {
+  createPdf,
+  drawInvoice,
+  drawPackingSlip
+};
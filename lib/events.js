@@ -0,0 +1,132 @@
+// Server-Sent Events broadcaster. Recent events are kept in a replay buffer so a
+// client reconnecting with Last-Event-ID receives what it missed; when those
+// events are gone (or the server restarted) it gets a `resync` event and should
+// reload its data instead. Clients live in this process only, so each server
+// instance streams the changes made through it.
+
+const crypto = require('crypto');
+
+const DEFAULT_BUFFER_SIZE = 500;
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+const DEFAULT_MAX_CLIENTS = 100;
+const RETRY_MS = 5000;
+
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function createEventHub({ bufferSize = DEFAULT_BUFFER_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS, maxClients = DEFAULT_MAX_CLIENTS } = {}) {
+  // Event IDs are `<stream>.<sequence>`; the stream part changes on every start
+  const streamId = crypto.randomBytes(4).toString('hex');
+  const clients = new Set();
+  const buffer = [];
+  let sequence = 0;
+  let heartbeat = null;
+
+  const eventId = (number) => `${streamId}.${number}`;
+
+  function disconnect(client, reason) {
+    clients.delete(client);
+    updateHeartbeat();
+    client.res.end(formatEvent({ id: eventId(sequence), type: 'unauthorized', data: { reason } }));
+  }
+
+  // Ends the stream once `authorize()` resolves false. A check that throws keeps
+  // the stream open until the next heartbeat tries again.
+  async function reauthorize(client) {
+    if (!client.authorize || client.authorizing) return;
+    client.authorizing = true;
+    try {
+      if (!(await client.authorize()) && clients.has(client)) {
+        disconnect(client, 'Session expired or access revoked');
+      }
+    } catch (error) {
+      console.error('❌ Event stream authorization check failed:', error.message);
+    } finally {
+      client.authorizing = false;
+    }
+  }
+
+  // Comment lines keep proxies from closing idle connections; each heartbeat
+  // also re-checks that the client may still listen
+  function updateHeartbeat() {
+    if (clients.size > 0 && !heartbeat) {
+      heartbeat = setInterval(() => clients.forEach(client => {
+        client.res.write(': ping\n\n');
+        reauthorize(client);
+      }), heartbeatMs);
+      heartbeat.unref();
+    } else if (clients.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  }
+
+  function publish(type, data) {
+    sequence += 1;
+    const event = { id: eventId(sequence), sequence, type, data };
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    clients.forEach(client => {
+      if (client.matches(event)) client.res.write(formatEvent(event));
+    });
+    return event;
+  }
+
+  // Events after `lastEventId`, or null when they can no longer be replayed
+  function missedSince(lastEventId) {
+    const [stream, number] = String(lastEventId).split('.');
+    const since = Number(number);
+    if (stream !== streamId || !Number.isInteger(since) || since > sequence) return null;
+    if (since === sequence) return [];
+
+    const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+    return since + 1 < oldest ? null : buffer.filter(event => event.sequence > since);
+  }
+
+  // Open an event stream on `res`; `matches(event)` decides which events this
+  // client receives and `authorize()` (async) whether it may keep listening.
+  // Returns false without responding when the hub is full.
+  function subscribe(req, res, { matches = () => true, authorize, lastEventId } = {}) {
+    if (clients.size >= maxClients) return false;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (lastEventId) {
+      const missed = missedSince(lastEventId);
+      if (missed) {
+        missed.filter(matches).forEach(event => res.write(formatEvent(event)));
+      } else {
+        res.write(formatEvent({ id: eventId(sequence), type: 'resync', data: { reason: 'Missed events are no longer available' } }));
+      }
+    }
+
+    const client = { res, matches, authorize };
+    clients.add(client);
+    updateHeartbeat();
+
+    req.on('close', () => {
+      clients.delete(client);
+      updateHeartbeat();
+    });
+    return true;
+  }
+
+  return {
+    publish,
+    subscribe,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  createEventHub
+};
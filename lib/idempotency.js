@@ -0,0 +1,151 @@
+// Idempotency-Key support for POST routes. The first response to a key is stored
+// and replayed for repeats of the same request, so a client retrying after a
+// timeout cannot create a second order or payment. A repeat with a different
+// body is refused. While the first request runs, the key is stored as in
+// progress: repeats in this process wait for it, and repeats reaching another
+// process get a 409.
+//
+// Responses of 500 and above are not replayed, so a failed request can be
+// retried. A route can keep values with the key (req.keepIdempotencyData) that
+// it gets back in req.idempotencyData when a failed request runs again.
+
+const crypto = require('crypto');
+const { sendValidationError } = require('./validation');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+// An in-progress key older than this belongs to a process that died mid-request
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+
+function hashBody(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body === undefined ? null : body)).digest('hex');
+}
+
+// Let the route run and resolve with the JSON it responds with (null when it
+// responded some other way). This waits for the route rather than the client
+// connection, which a client retrying after a timeout has already closed.
+function captureJson(res, next) {
+  return new Promise(resolve => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      resolve({ statusCode: res.statusCode, body });
+      return json(body);
+    };
+    res.on('finish', () => resolve(null));
+    next();
+  });
+}
+
+// Who a key belongs to: the staff member on staff routes, otherwise the client's
+// address (hashed, so the table holds no IP addresses). A public key seen by
+// someone else then cannot replay another customer's payment intent secret.
+function callerScope(req) {
+  if (req.staff) return req.staff.id;
+  return 'ip-' + crypto.createHash('sha256').update(String(req.ip)).digest('hex').slice(0, 16);
+}
+
+function parseData(json) {
+  try {
+    return json ? JSON.parse(json) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// `store` is the idempotencyKeys repository: find(key), save(key, fields)
+function createIdempotency({ store, ttlMs = DEFAULT_TTL_MS }) {
+  const locks = new Map();
+
+  function withKeyLock(key, task) {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+
+    locks.set(key, settled);
+    settled.then(() => {
+      if (locks.get(key) === settled) {
+        locks.delete(key);
+      }
+    });
+
+    return run;
+  }
+
+  // Middleware for the route named `operation`. Keys are scoped to the route and
+  // the caller. The scoped key is left on req.idempotencyKey so the route can
+  // derive keys for Stripe from it.
+  function idempotent(operation) {
+    return (req, res, next) => {
+      const key = req.get('Idempotency-Key');
+      if (key === undefined) return next();
+
+      if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        return sendValidationError(res, [{ field: 'Idempotency-Key', message: 'must be 1 to 255 visible ASCII characters' }]);
+      }
+
+      const scopedKey = [operation, callerScope(req), key].join(':');
+      const requestHash = hashBody(req.body);
+      req.idempotencyKey = scopedKey;
+
+      withKeyLock(scopedKey, async () => {
+        const stored = await store.find(scopedKey);
+        const fields = stored && stored.fields;
+
+        const age = fields ? Date.now() - Date.parse(fields['Created At']) : Infinity;
+        const inProgress = Boolean(fields) && !fields['Status Code'];
+        const failed = Boolean(fields) && fields['Status Code'] >= 500;
+
+        if (!failed && age < (inProgress ? IN_PROGRESS_TIMEOUT_MS : ttlMs)) {
+          if (fields['Request Hash'] !== requestHash) {
+            return res.status(422).json({
+              success: false,
+              error: 'This Idempotency-Key was already used with a different request'
+            });
+          }
+
+          if (inProgress) {
+            return res.status(409).json({
+              success: false,
+              error: 'A request with this Idempotency-Key is still being processed'
+            });
+          }
+
+          console.log('♻️ Replaying response for Idempotency-Key:', scopedKey);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(fields['Status Code']).json(JSON.parse(fields['Response']));
+        }
+
+        // The same request running again after a failure, or after its server
+        // stopped, picks up what the earlier attempt kept
+        const retry = Boolean(fields) && fields['Request Hash'] === requestHash && age < ttlMs;
+        req.idempotencyData = retry ? parseData(fields['Route Data']) : {};
+        req.keepIdempotencyData = (data) => {
+          Object.assign(req.idempotencyData, data);
+          return store.save(scopedKey, { 'Route Data': JSON.stringify(req.idempotencyData) });
+        };
+
+        await store.save(scopedKey, {
+          'Request Hash': requestHash,
+          'Status Code': null,
+          'Response': '',
+          'Route Data': JSON.stringify(req.idempotencyData),
+          'Created At': new Date().toISOString()
+        });
+
+        // Failures keep only their status, which marks the key free to retry
+        const response = await captureJson(res, next);
+        const statusCode = response ? response.statusCode : 500;
+        await store.save(scopedKey, {
+          'Status Code': statusCode,
+          'Response': statusCode < 500 ? JSON.stringify(response.body) : ''
+        }).catch(error => console.error('❌ Could not store response for Idempotency-Key', scopedKey, error.message));
+      }).catch(next);
+    };
+  }
+
+  return { idempotent };
+}
+
+module.exports = {
+  createIdempotency
+};
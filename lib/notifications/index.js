@@ -0,0 +1,107 @@
+// Customer email notifications: templated messages sent through a pluggable
+// transport, retried with backoff, and recorded in a per-order send log.
+
+const { TEMPLATES } = require('./templates');
+const { createTransport } = require('./transports');
+
+// The email, if any, that an order reaching each status sends
+const STATUS_TEMPLATES = {
+  'Processing': 'processing',
+  'Shipped': 'shipped',
+  'Delivered': 'delivered',
+  'Refunded': 'refunded',
+  'Partially Refunded': 'refunded',
+  'Awaiting Information': 'awaiting_information'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `log` is a storage notificationLog repository: add([fields]), listForOrder(recordId)
+function createNotifier({ transport, from, log, maxRetries = 3, retryBaseMs = 1000 }) {
+  async function deliver(message) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { messageId } = await transport.send(message);
+        return { messageId, attempts: attempt };
+      } catch (error) {
+        if (attempt > maxRetries) {
+          error.attempts = attempt;
+          throw error;
+        }
+        console.warn(`⏳ Email to ${message.to} failed (attempt ${attempt}), retrying:`, error.message);
+        await sleep(retryBaseMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  async function recordSend(order, template, message, result) {
+    try {
+      await log.add([{
+        'Sales Record ID': order.recordId,
+        'Order ID': order.orderId || '',
+        'Template': template,
+        'Recipient': message.to,
+        'Subject': message.subject,
+        'Status': result.error ? 'Failed' : 'Sent',
+        'Attempts': result.attempts,
+        'Message ID': result.messageId || '',
+        'Error': result.error || '',
+        'Sent At': new Date().toISOString()
+      }]);
+    } catch (error) {
+      console.error('❌ Failed to record notification for order', order.orderId, error.message);
+    }
+  }
+
+  // Send one templated email about an order. With `once`, nothing is sent if
+  // the send log already has a successful email from that template.
+  // Never throws: a notification problem must not fail the order workflow.
+  async function notifyOrder(template, order, { once = false } = {}) {
+    try {
+      if (!TEMPLATES[template]) {
+        throw new Error(`Unknown email template "${template}"`);
+      }
+      if (!order.customerEmail) {
+        console.warn(`⚠️ No customer email on order ${order.orderId}; ${template} email skipped`);
+        return { skipped: true };
+      }
+
+      if (once) {
+        const previous = await log.listForOrder(order.recordId);
+        if (previous.some(entry => entry.fields['Template'] === template && entry.fields['Status'] === 'Sent')) {
+          return { skipped: true };
+        }
+      }
+
+      const content = TEMPLATES[template](order);
+      const message = { from, to: order.customerEmail, ...content };
+
+      let result;
+      try {
+        result = await deliver(message);
+        console.log(`📧 Sent ${template} email for order ${order.orderId}`);
+      } catch (error) {
+        console.error(`❌ Failed to send ${template} email for order ${order.orderId}:`, error.message);
+        result = { attempts: error.attempts, error: error.message };
+      }
+
+      await recordSend(order, template, message, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ Notification error for order ${order.orderId}:`, error.message);
+      return { error: error.message };
+    }
+  }
+
+  return {
+    transport: transport.name,
+    notifyOrder
+  };
+}
+
+module.exports = {
+  createNotifier,
+  createTransport,
+  STATUS_TEMPLATES,
+  TEMPLATES
+};
@@ -0,0 +1,84 @@
+// Customer email templates. Each takes an order view (see buildOrderView in
+// server.js) and returns { subject, text, html }.
+
+const { formatMoney } = require('../currency');
+
+const STORE_NAME = 'NepalGoods';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Item summary lines, falling back to the text field on older orders
+function itemLines(order) {
+  if (order.lineItems && order.lineItems.length > 0) {
+    return order.lineItems.map(line =>
+      `${line.quantity}x ${line.name}${line.size ? ` (Size: ${line.size})` : ''} - ${formatMoney(line.lineTotal, order.currency)}`
+    );
+  }
+  return order.orderItems ? String(order.orderItems).split('\n') : [];
+}
+
+// Build both bodies from the same paragraphs so they never drift apart
+function render(order, subject, paragraphs, { showItems = false } = {}) {
+  const blocks = [`Hi ${order.customerFirstName || 'there'},`, ...paragraphs.filter(Boolean)];
+
+  if (showItems) {
+    const lines = itemLines(order);
+    if (lines.length > 0) {
+      blocks.push(lines.join('\n'));
+    }
+    blocks.push(`Total: ${formatMoney(order.total, order.currency)}`);
+  }
+
+  blocks.push(`Thank you for shopping with ${STORE_NAME}.`);
+
+  return {
+    subject: `${subject} - ${STORE_NAME}`,
+    text: blocks.join('\n\n'),
+    html: blocks.map(block => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`).join('\n')
+  };
+}
+
+const TEMPLATES = {
+  order_confirmation: (order) => render(order, `Order ${order.orderId} confirmed`, [
+    `Thanks for your order! We've received order ${order.orderId} and will email you again when it ships.`,
+    order.orderLink && `Check your order's progress at any time: ${order.orderLink}`
+  ], { showItems: true }),
+
+  processing: (order) => render(order, `Order ${order.orderId} is being prepared`, [
+    `Good news: we're now preparing order ${order.orderId} for shipping.`
+  ]),
+
+  shipped: (order) => render(order, `Order ${order.orderId} has shipped`, [
+    `Your order ${order.orderId} is on its way.`,
+    order.trackingNumber && `Tracking number: ${order.trackingNumber}`,
+    order.trackingUrl && `Track your parcel: ${order.trackingUrl}`,
+    order.orderLink && `Order details: ${order.orderLink}`
+  ], { showItems: true }),
+
+  delivered: (order) => render(order, `Order ${order.orderId} was delivered`, [
+    `Our records show order ${order.orderId} has been delivered. We hope you enjoy it!`,
+    'If anything is wrong with your order, just reply to this email.'
+  ]),
+
+  refunded: (order) => render(order, `Refund for order ${order.orderId}`, [
+    `We've refunded ${formatMoney(order.refundAmount, order.currency)} for order ${order.orderId}.`,
+    'Refunds usually appear on your statement within 5-10 business days.',
+    order.refundReason && `Reason: ${order.refundReason}`
+  ]),
+
+  awaiting_information: (order) => render(order, `We need more information about order ${order.orderId}`, [
+    `We need a little more information before we can continue with order ${order.orderId}.`,
+    order.statusNotes && `Note from our team: ${order.statusNotes}`,
+    'Please reply to this email and we will pick it up straight away.'
+  ])
+};
+
+module.exports = {
+  TEMPLATES
+};
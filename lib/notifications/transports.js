@@ -0,0 +1,71 @@
+// Email transports. Each has send({ from, to, subject, text, html }) -> { messageId }
+// and throws when the message could not be handed over.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ host, port = 587, secure = false, user, pass }) {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp email transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+// Writes each message as a JSON file, for development and tests
+function createFileTransport({ directory }) {
+  return {
+    name: 'file',
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(path.join(directory, `${messageId}.json`), JSON.stringify(message, null, 2));
+      return { messageId };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+function createTransport({ type = 'console', smtp = {}, file = {} } = {}) {
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport(smtp);
+    case 'file':
+      return createFileTransport(file);
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown email transport "${type}" (expected "smtp", "file" or "console")`);
+  }
+}
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+};
@@ -0,0 +1,87 @@
+// Discount code rules. A promotion takes a percentage or a fixed amount off the
+// goods it applies to, or waives shipping. Money on a promotion (value of fixed
+// discounts, minimum order) is USD; cart amounts are minor units of the cart
+// currency and are converted at the cart's exchange rate.
+
+const { convertToMinorUnits, fromMinorUnits, formatMoney } = require('./currency');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+// Codes are matched without regard to case or surrounding spaces
+function normalizePromotionCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// A promotion restricted to products or categories only discounts matching
+// lines; one without restrictions applies to the whole cart
+function appliesToLine(promotion, line) {
+  const { productIds, categories } = promotion;
+  if (productIds.length === 0 && categories.length === 0) return true;
+
+  return productIds.includes(line.productId) ||
+    categories.some(category => category.toLowerCase() === String(line.category || '').toLowerCase());
+}
+
+// Check `promotion` against a priced cart: { lineItems ([{ productId, category,
+// lineTotal }]), currency, exchangeRate, customerEmail, usage ({ total, customer }) }.
+// Returns { problems, discount, freeShipping }; problems are customer-facing
+// phrases to follow the code ("has expired") and an empty list means it applies.
+function evaluatePromotion(promotion, { lineItems, currency, exchangeRate, customerEmail, usage, now = new Date() }) {
+  const problems = [];
+  const subtotal = lineItems.reduce((sum, line) => sum + line.lineTotal, 0);
+
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    problems.push('is not set up correctly');
+  }
+  if (!promotion.active) {
+    problems.push('is not active');
+  }
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+    problems.push(`is not valid until ${promotion.startsAt.slice(0, 10)}`);
+  }
+  if (promotion.endsAt && now > new Date(promotion.endsAt)) {
+    problems.push('has expired');
+  }
+
+  const minimumOrder = convertToMinorUnits(promotion.minimumOrder || 0, currency, exchangeRate);
+  if (subtotal < minimumOrder) {
+    problems.push(`needs an order of at least ${formatMoney(fromMinorUnits(minimumOrder, currency), currency)}`);
+  }
+
+  if (promotion.maxUses !== null && usage.total >= promotion.maxUses) {
+    problems.push('has reached its usage limit');
+  }
+  if (promotion.maxUsesPerCustomer !== null) {
+    if (!customerEmail) {
+      problems.push('needs your email address to check it');
+    } else if (usage.customer >= promotion.maxUsesPerCustomer) {
+      problems.push('has already been used by this email address');
+    }
+  }
+
+  const eligibleSubtotal = lineItems
+    .filter(line => appliesToLine(promotion, line))
+    .reduce((sum, line) => sum + line.lineTotal, 0);
+  if (eligibleSubtotal === 0) {
+    problems.push('does not apply to any items in your cart');
+  }
+
+  let discount = 0;
+  if (promotion.type === 'percentage') {
+    discount = Math.round(eligibleSubtotal * promotion.value / 100);
+  } else if (promotion.type === 'fixed') {
+    discount = convertToMinorUnits(promotion.value, currency, exchangeRate);
+  }
+
+  return {
+    problems,
+    discount: Math.min(discount, eligibleSubtotal),
+    freeShipping: promotion.type === 'free_shipping'
+  };
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  normalizePromotionCode,
+  evaluatePromotion
+};
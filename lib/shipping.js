@@ -0,0 +1,141 @@
+// Shipping and tax rules for orders sent from Kathmandu. Destinations are
+// grouped into zones; each service level has a rate per zone made of a base
+// fee plus a per-kg fee on the billable weight, and may ship free above a
+// subtotal. Money amounts in the config are USD.
+
+const fs = require('fs');
+
+// Parcels are billed in half-kilo steps, with a half kilo minimum
+const WEIGHT_STEP_KG = 0.5;
+
+const DEFAULT_SHIPPING_CONFIG = {
+  // Used for products without a `Weight`
+  defaultItemWeightKg: 0.5,
+  zones: {
+    domestic: ['NP'],
+    south_asia: ['IN', 'BD', 'BT', 'LK', 'PK', 'MV'],
+    asia_pacific: ['CN', 'HK', 'TW', 'JP', 'KR', 'SG', 'MY', 'TH', 'VN', 'PH', 'ID', 'AU', 'NZ'],
+    europe: ['GB', 'IE', 'DE', 'FR', 'NL', 'BE', 'LU', 'AT', 'CH', 'IT', 'ES', 'PT', 'DK', 'SE', 'NO', 'FI', 'PL', 'CZ'],
+    north_america: ['US', 'CA', 'MX']
+  },
+  // Countries in no zone above
+  defaultZone: 'rest_of_world',
+  services: {
+    standard: {
+      name: 'Standard',
+      rates: {
+        domestic: { base: 3, perKg: 1, freeOver: 50, days: [2, 4] },
+        south_asia: { base: 8, perKg: 4, freeOver: 150, days: [5, 9] },
+        asia_pacific: { base: 15, perKg: 8, days: [7, 14] },
+        europe: { base: 18, perKg: 9, freeOver: 250, days: [8, 15] },
+        north_america: { base: 20, perKg: 10, freeOver: 250, days: [8, 15] },
+        rest_of_world: { base: 25, perKg: 12, days: [10, 21] }
+      }
+    },
+    express: {
+      name: 'Express',
+      rates: {
+        domestic: { base: 8, perKg: 2, days: [1, 2] },
+        south_asia: { base: 25, perKg: 10, days: [2, 4] },
+        asia_pacific: { base: 35, perKg: 15, days: [3, 5] },
+        europe: { base: 40, perKg: 16, days: [3, 6] },
+        north_america: { base: 45, perKg: 18, days: [3, 6] },
+        rest_of_world: { base: 55, perKg: 22, days: [4, 8] }
+      }
+    }
+  },
+  // Tax or VAT charged on the goods subtotal, by destination country
+  taxRates: {
+    NP: 0.13,
+    GB: 0.2
+  },
+  defaultTaxRate: 0
+};
+
+// Read a JSON config file whose top-level keys replace the defaults
+function loadShippingConfig(filePath) {
+  if (!filePath) return DEFAULT_SHIPPING_CONFIG;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read shipping config ${filePath}: ${error.message}`);
+  }
+
+  const config = { ...DEFAULT_SHIPPING_CONFIG, ...overrides };
+
+  Object.entries(config.services).forEach(([serviceLevel, service]) => {
+    Object.entries(service.rates || {}).forEach(([zone, rate]) => {
+      if (typeof rate.base !== 'number' || typeof rate.perKg !== 'number') {
+        throw new Error(`Shipping config: ${serviceLevel} rate for ${zone} needs numeric base and perKg`);
+      }
+    });
+  });
+
+  return config;
+}
+
+function createShippingCalculator(config = DEFAULT_SHIPPING_CONFIG) {
+  const zoneByCountry = new Map();
+  Object.entries(config.zones).forEach(([zone, countries]) => {
+    countries.forEach(country => zoneByCountry.set(country.toUpperCase(), zone));
+  });
+
+  function zoneFor(country) {
+    return zoneByCountry.get(String(country).toUpperCase()) || config.defaultZone;
+  }
+
+  function billableWeight(weightKg) {
+    return Math.max(WEIGHT_STEP_KG, Math.ceil(weightKg / WEIGHT_STEP_KG - 1e-9) * WEIGHT_STEP_KG);
+  }
+
+  // Shipping for one service level, or null when it does not serve the destination.
+  // `subtotal` is the goods value in USD, for free-shipping thresholds.
+  function quote({ country, serviceLevel, weightKg, subtotal }) {
+    const zone = zoneFor(country);
+    const service = config.services[serviceLevel];
+    const rate = service && service.rates[zone];
+    if (!rate) return null;
+
+    const freeShipping = rate.freeOver !== undefined && subtotal >= rate.freeOver;
+
+    return {
+      serviceLevel,
+      name: service.name,
+      zone,
+      billableWeightKg: billableWeight(weightKg),
+      amount: freeShipping ? 0 : rate.base + rate.perKg * billableWeight(weightKg),
+      freeShipping,
+      freeShippingOver: rate.freeOver === undefined ? null : rate.freeOver,
+      estimatedDays: rate.days || null
+    };
+  }
+
+  // Every service level that serves the destination
+  function options(cart) {
+    return Object.keys(config.services)
+      .map(serviceLevel => quote({ ...cart, serviceLevel }))
+      .filter(Boolean);
+  }
+
+  function taxRateFor(country) {
+    const rate = config.taxRates[String(country).toUpperCase()];
+    return rate === undefined ? config.defaultTaxRate : rate;
+  }
+
+  return {
+    serviceLevels: Object.keys(config.services),
+    defaultItemWeightKg: config.defaultItemWeightKg,
+    zoneFor,
+    quote,
+    options,
+    taxRateFor
+  };
+}
+
+module.exports = {
+  DEFAULT_SHIPPING_CONFIG,
+  loadShippingConfig,
+  createShippingCalculator
+};
@@ -0,0 +1,366 @@
+// Airtable backend: Products, Sales, Order Line Items, Status History,
+// Notification Log, Promotions, Staff and Idempotency Keys tables in one base.
+// Records are returned in Airtable's own { id, createdTime, fields } shape.
+
+const { createAirtableClient, escapeFormulaValue, AirtableValidationError } = require('../airtable');
+const { InvalidCursorError } = require('./errors');
+
+// Keeps filterByFormula URLs well under Airtable's length limit
+const IDS_PER_FORMULA = 100;
+
+// Every staff request is authenticated against the roster, so it is read at most
+// this often rather than once per request
+const STAFF_ROSTER_TTL_MS = 60 * 1000;
+
+// Staff table fields: Staff ID, Name, Email, Role, Active (checkbox)
+function toStaffMember(record) {
+  return {
+    id: record.fields['Staff ID'],
+    name: record.fields['Name'] || '',
+    email: record.fields['Email'] || '',
+    role: record.fields['Role'] || '',
+    active: Boolean(record.fields['Active'])
+  };
+}
+
+function staffFields(member) {
+  const fields = {};
+  if (member.id !== undefined) fields['Staff ID'] = member.id;
+  if (member.name !== undefined) fields['Name'] = member.name;
+  if (member.email !== undefined) fields['Email'] = member.email;
+  if (member.role !== undefined) fields['Role'] = member.role;
+  if (member.active !== undefined) fields['Active'] = member.active;
+  return fields;
+}
+
+// Matches a value inside a multiple-select field without partial-word hits
+function multiSelectContains(field, value) {
+  return `FIND('|${escapeFormulaValue(value.toLowerCase())}|', '|' & LOWER(ARRAYJOIN({${field}}, '|')) & '|')`;
+}
+
+// Turn a catalog filter ({ category, tags, size, minPrice, maxPrice, q }) into a filterByFormula
+function productFilterFormula(filter = {}) {
+  const conditions = [];
+
+  if (filter.category) {
+    conditions.push(`LOWER({Category})='${escapeFormulaValue(filter.category.toLowerCase())}'`);
+  }
+
+  (filter.tags || []).forEach(tag => conditions.push(multiSelectContains('Tags', tag)));
+
+  if (filter.size) {
+    conditions.push(multiSelectContains('Size', filter.size));
+  }
+  if (filter.minPrice !== undefined) {
+    conditions.push(`{Price}>=${filter.minPrice}`);
+  }
+  if (filter.maxPrice !== undefined) {
+    conditions.push(`{Price}<=${filter.maxPrice}`);
+  }
+
+  if (filter.q) {
+    const term = escapeFormulaValue(filter.q.toLowerCase());
+    conditions.push(`FIND('${term}', LOWER({Name} & ' ' & {Description} & ' ' & ARRAYJOIN({Tags}, ' ')))`);
+  }
+
+  return conditions.length === 0 ? '' : conditions.length === 1 ? conditions[0] : `AND(${conditions.join(', ')})`;
+}
+
+// Turn a workstation filter ({ statuses, assignees, unassigned, start, end, country,
+// minTotal, maxTotal, q }) into a filterByFormula. Totals are compared in USD.
+function orderFilterFormula(filter = {}) {
+  const conditions = [];
+  const anyOf = (values, condition) => (values.length === 1 ? condition(values[0]) : `OR(${values.map(condition).join(', ')})`);
+
+  if (filter.statuses) {
+    conditions.push(anyOf(filter.statuses, status => `{Order Status}='${escapeFormulaValue(status)}'`));
+  }
+
+  if (filter.unassigned) {
+    conditions.push(`{Assigned To}=''`);
+  } else if (filter.assignees) {
+    conditions.push(anyOf(filter.assignees, assignee => `LOWER({Assigned To})='${escapeFormulaValue(assignee.toLowerCase())}'`));
+  }
+
+  if (filter.start) {
+    conditions.push(`NOT(IS_BEFORE({Order Date}, '${escapeFormulaValue(filter.start)}'))`);
+  }
+  if (filter.end) {
+    conditions.push(`NOT(IS_AFTER({Order Date}, '${escapeFormulaValue(filter.end)}'))`);
+  }
+
+  // Orders from before 'Shipping Country' was stored end their address with the code
+  if (filter.country) {
+    const country = escapeFormulaValue(filter.country.toUpperCase());
+    conditions.push(`OR(UPPER({Shipping Country})='${country}', AND({Shipping Country}='', UPPER(RIGHT({Shipping Address}, 4))=', ${country}'))`);
+  }
+
+  const usdTotal = `ROUND({Total} / IF({Exchange Rate}, {Exchange Rate}, 1), 2)`;
+  if (filter.minTotal !== undefined) {
+    conditions.push(`${usdTotal}>=${filter.minTotal}`);
+  }
+  if (filter.maxTotal !== undefined) {
+    conditions.push(`${usdTotal}<=${filter.maxTotal}`);
+  }
+
+  if (filter.q) {
+    const term = escapeFormulaValue(filter.q.toLowerCase());
+    conditions.push(`FIND('${term}', LOWER({Order ID} & ' ' & {Customer Name} & ' ' & {Customer Email} & ' ' & {Tracking Number}))`);
+  }
+
+  return conditions.length === 0 ? '' : conditions.length === 1 ? conditions[0] : `AND(${conditions.join(', ')})`;
+}
+
+function createAirtableStorage({ token, baseId, requestsPerSecond }) {
+  const client = createAirtableClient({ token, baseId, requestsPerSecond });
+
+  const products = {
+    async list({ filter, sort, pageSize, cursor } = {}) {
+      try {
+        const page = await client.listPage('Products', {
+          filterByFormula: productFilterFormula(filter),
+          sort: sort ? [sort] : undefined,
+          pageSize,
+          offset: cursor
+        });
+        return { records: page.records, nextCursor: page.offset };
+      } catch (error) {
+        // Airtable rejects offsets that are stale or belong to a different query
+        if (cursor && error instanceof AirtableValidationError) {
+          throw new InvalidCursorError();
+        }
+        throw error;
+      }
+    },
+    listAll: (filter) => client.listAll('Products', { filterByFormula: productFilterFormula(filter) }),
+    get: (recordId) => client.find('Products', recordId),
+    getMany: (recordIds) => client.findMany('Products', recordIds),
+    updateMany: (updates) => client.update('Products', updates)
+  };
+
+  const orders = {
+    get: (recordId) => client.find('Sales', recordId),
+    getMany: (recordIds) => client.findMany('Sales', recordIds),
+    async findByPaymentId(paymentIntentId) {
+      const { records } = await client.listPage('Sales', {
+        filterByFormula: `{Stripe Payment ID}='${escapeFormulaValue(paymentIntentId)}'`,
+        maxRecords: 1
+      });
+      return records[0] || null;
+    },
+    async findByOrderId(orderId) {
+      const { records } = await client.listPage('Sales', {
+        filterByFormula: `{Order ID}='${escapeFormulaValue(orderId)}'`,
+        maxRecords: 1
+      });
+      return records[0] || null;
+    },
+    async findByTrackingNumber(trackingNumber) {
+      const { records } = await client.listPage('Sales', {
+        filterByFormula: `UPPER({Tracking Number})='${escapeFormulaValue(trackingNumber.toUpperCase())}'`,
+        maxRecords: 1
+      });
+      return records[0] || null;
+    },
+    listByDiscountCode: (code) => client.listAll('Sales', {
+      filterByFormula: `UPPER({Discount Code})='${escapeFormulaValue(code.toUpperCase())}'`
+    }),
+    list: ({ filter, sort } = {}) => client.listAll('Sales', { filterByFormula: orderFilterFormula(filter), sort }),
+    async listPage({ filter, sort, pageSize, cursor } = {}) {
+      try {
+        const page = await client.listPage('Sales', {
+          filterByFormula: orderFilterFormula(filter),
+          sort,
+          pageSize,
+          offset: cursor
+        });
+        return { records: page.records, nextCursor: page.offset };
+      } catch (error) {
+        if (cursor && error instanceof AirtableValidationError) {
+          throw new InvalidCursorError();
+        }
+        throw error;
+      }
+    },
+    // Only the status field is fetched, since Airtable has no count query
+    async countByStatus(filter) {
+      const records = await client.listAll('Sales', { filterByFormula: orderFilterFormula(filter), fields: ['Order Status'] });
+      return records.reduce((counts, record) => {
+        const status = record.fields['Order Status'] || 'Unknown';
+        counts[status] = (counts[status] || 0) + 1;
+        return counts;
+      }, {});
+    },
+    async create(fields) {
+      const [record] = await client.create('Sales', [fields]);
+      return record;
+    },
+    async update(recordId, fields) {
+      const [record] = await client.update('Sales', [{ id: recordId, fields }]);
+      return record;
+    },
+    updateMany: (updates) => client.update('Sales', updates)
+  };
+
+  // One row per product line, linked to Products and keyed to its Sales record
+  const lineItems = {
+    add: (entries) => client.create('Order Line Items', entries),
+    async listForOrders(recordIds) {
+      const records = [];
+      for (let i = 0; i < recordIds.length; i += IDS_PER_FORMULA) {
+        const ids = recordIds.slice(i, i + IDS_PER_FORMULA);
+        records.push(...await client.listAll('Order Line Items', {
+          filterByFormula: `OR(${ids.map(id => `{Sales Record ID}='${escapeFormulaValue(id)}'`).join(',')})`,
+          sort: [{ field: 'Line', direction: 'asc' }]
+        }));
+      }
+      return records;
+    }
+  };
+
+  const statusHistory = {
+    add: (entries) => client.create('Status History', entries),
+    async listForOrders(recordIds) {
+      const records = [];
+      for (let i = 0; i < recordIds.length; i += IDS_PER_FORMULA) {
+        const ids = recordIds.slice(i, i + IDS_PER_FORMULA);
+        records.push(...await client.listAll('Status History', {
+          filterByFormula: `OR(${ids.map(id => `{Sales Record ID}='${escapeFormulaValue(id)}'`).join(',')})`,
+          sort: [{ field: 'Changed At', direction: 'asc' }]
+        }));
+      }
+      return records;
+    },
+    listForOrder: (recordId) => client.listAll('Status History', {
+      filterByFormula: `{Sales Record ID}='${escapeFormulaValue(recordId)}'`,
+      sort: [{ field: 'Changed At', direction: 'asc' }]
+    })
+  };
+
+  const notificationLog = {
+    add: (entries) => client.create('Notification Log', entries),
+    listForOrder: (recordId) => client.listAll('Notification Log', {
+      filterByFormula: `{Sales Record ID}='${escapeFormulaValue(recordId)}'`,
+      sort: [{ field: 'Sent At', direction: 'asc' }]
+    })
+  };
+
+  // Stored responses for Idempotency-Key requests, one row per scoped `Key`
+  const idempotencyKeys = {
+    async find(key) {
+      const { records } = await client.listPage('Idempotency Keys', {
+        filterByFormula: `{Key}='${escapeFormulaValue(key)}'`,
+        maxRecords: 1
+      });
+      return records[0] || null;
+    },
+    // Replaces the stored response when the key is reused after it expired
+    async save(key, fields) {
+      const existing = await idempotencyKeys.find(key);
+      const [record] = existing
+        ? await client.update('Idempotency Keys', [{ id: existing.id, fields }])
+        : await client.create('Idempotency Keys', [{ 'Key': key, ...fields }]);
+      return record;
+    }
+  };
+
+  // Discount codes; `Code` is matched without regard to case
+  const promotions = {
+    list: () => client.listAll('Promotions', { sort: [{ field: 'Code', direction: 'asc' }] }),
+    get: (recordId) => client.find('Promotions', recordId),
+    async findByCode(code) {
+      const { records } = await client.listPage('Promotions', {
+        filterByFormula: `UPPER({Code})='${escapeFormulaValue(code.toUpperCase())}'`,
+        maxRecords: 1
+      });
+      return records[0] || null;
+    },
+    async create(fields) {
+      const [record] = await client.create('Promotions', [fields]);
+      return record;
+    },
+    async update(recordId, fields) {
+      const [record] = await client.update('Promotions', [{ id: recordId, fields }]);
+      return record;
+    }
+  };
+
+  // Staff are looked up by their `Staff ID`, which credentials and 'Assigned To' refer to
+  let roster = null;
+  let rosterLoadedAt = 0;
+
+  async function loadRoster() {
+    if (!roster || Date.now() - rosterLoadedAt > STAFF_ROSTER_TTL_MS) {
+      const records = await client.listAll('Staff', { sort: [{ field: 'Staff ID', direction: 'asc' }] });
+      roster = records.filter(record => record.fields['Staff ID']);
+      rosterLoadedAt = Date.now();
+    }
+    return roster;
+  }
+
+  const staffMembers = {
+    list: async () => (await loadRoster()).map(toStaffMember),
+    // `fresh` re-reads the Staff table first, for checks that cannot wait out the cache
+    async get(staffId, { fresh = false } = {}) {
+      if (fresh) {
+        roster = null;
+      }
+      const record = (await loadRoster()).find(row => row.fields['Staff ID'] === staffId);
+      return record ? toStaffMember(record) : null;
+    },
+    async findByEmail(email) {
+      const wanted = String(email).toLowerCase();
+      const record = (await loadRoster()).find(row => String(row.fields['Email'] || '').toLowerCase() === wanted);
+      return record ? toStaffMember(record) : null;
+    },
+    async create(member) {
+      const [record] = await client.create('Staff', [staffFields(member)]);
+      roster = null;
+      return toStaffMember(record);
+    },
+    async update(staffId, changes) {
+      const existing = (await loadRoster()).find(row => row.fields['Staff ID'] === staffId);
+      if (!existing) return null;
+      const [record] = await client.update('Staff', [{ id: existing.id, fields: staffFields(changes) }]);
+      roster = null;
+      return toStaffMember(record);
+    }
+  };
+
+  // Read one record from each table; a failure is reported per table
+  async function checkConnection() {
+    const check = async (table) => {
+      try {
+        const { records } = await client.listPage(table, { maxRecords: 1 });
+        return { connected: true, recordCount: records.length, error: null };
+      } catch (error) {
+        return { connected: false, recordCount: 0, error: error.status ? `HTTP ${error.status}` : error.message };
+      }
+    };
+
+    return {
+      products: await check('Products'),
+      sales: await check('Sales')
+    };
+  }
+
+  return {
+    backend: 'airtable',
+    isConfigured: client.isConfigured,
+    products,
+    orders,
+    lineItems,
+    statusHistory,
+    notificationLog,
+    promotions,
+    staff: staffMembers,
+    idempotencyKeys,
+    checkConnection
+  };
+}
+
+module.exports = {
+  createAirtableStorage,
+  productFilterFormula,
+  orderFilterFormula
+};
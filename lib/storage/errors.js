@@ -0,0 +1,31 @@
+// Errors shared by the storage backends. Like the Airtable client's errors,
+// each carries the `httpStatus` a route should answer with.
+
+class StorageError extends Error {
+  constructor(message, httpStatus = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.httpStatus = httpStatus;
+  }
+}
+
+// A pagination cursor that is malformed, stale or from a different query
+class InvalidCursorError extends StorageError {
+  constructor(message = 'Invalid or expired cursor') {
+    super(message, 400);
+  }
+}
+
+class RecordNotFoundError extends StorageError {
+  constructor(table, recordId) {
+    super(`${table} record not found: ${recordId}`, 404);
+    this.table = table;
+    this.recordId = recordId;
+  }
+}
+
+module.exports = {
+  StorageError,
+  InvalidCursorError,
+  RecordNotFoundError
+};
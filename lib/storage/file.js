@@ -0,0 +1,375 @@
+// Local JSON file backend for development, tests and CI, so the API can run
+// without a live Airtable base. The whole store is held in memory and the file
+// is rewritten after every change, which suits small data sets only.
+//
+// File layout (records use the same field names as the Airtable tables):
+//   { "products": [{ id, createdTime, fields }], "orders": [...], "lineItems": [...],
+//     "statusHistory": [...], "notificationLog": [...], "promotions": [...],
+//     "staff": [{ id, name, email, role, active }], "idempotencyKeys": [...] }
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { InvalidCursorError, RecordNotFoundError } = require('./errors');
+
+const MAX_PAGE_SIZE = 100;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Same format as Airtable IDs so route-level ID validation works on both backends
+function newRecordId() {
+  return `rec${crypto.randomBytes(7).toString('hex')}`;
+}
+
+// Airtable leaves empty and unchecked fields out of its records; do the same
+// so routes see identical data on either backend
+function compactFields(fields) {
+  Object.keys(fields).forEach(key => {
+    const value = fields[key];
+    if (value === null || value === undefined || value === '' || value === false ||
+      (Array.isArray(value) && value.length === 0)) {
+      delete fields[key];
+    }
+  });
+  return fields;
+}
+
+function matchesProductFilter(fields, filter = {}) {
+  const lower = (value) => String(value === undefined || value === null ? '' : value).toLowerCase();
+  const listValues = (value) => (Array.isArray(value) ? value : []).map(lower);
+
+  if (filter.category && lower(fields.Category) !== filter.category.toLowerCase()) return false;
+  if ((filter.tags || []).some(tag => !listValues(fields.Tags).includes(tag.toLowerCase()))) return false;
+  if (filter.size && !listValues(fields.Size).includes(filter.size.toLowerCase())) return false;
+
+  const price = Number(fields.Price || 0);
+  if (filter.minPrice !== undefined && price < filter.minPrice) return false;
+  if (filter.maxPrice !== undefined && price > filter.maxPrice) return false;
+
+  if (filter.q) {
+    const haystack = lower([fields.Name, fields.Description, (fields.Tags || []).join(' ')].join(' '));
+    if (!haystack.includes(filter.q.toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+// Same rules as orderFilterFormula in the Airtable backend
+function matchesOrderFilter(fields, filter = {}) {
+  const lower = (value) => String(value === undefined || value === null ? '' : value).toLowerCase();
+
+  if (filter.statuses && !filter.statuses.includes(fields['Order Status'])) return false;
+
+  const assignee = lower(fields['Assigned To']);
+  if (filter.unassigned && assignee !== '') return false;
+  if (!filter.unassigned && filter.assignees && !filter.assignees.some(value => value.toLowerCase() === assignee)) return false;
+
+  const orderTime = Date.parse(fields['Order Date'] || '');
+  if (filter.start && !(orderTime >= Date.parse(filter.start))) return false;
+  if (filter.end && !(orderTime <= Date.parse(filter.end))) return false;
+
+  if (filter.country) {
+    const country = filter.country.toUpperCase();
+    const matchesCountry = fields['Shipping Country']
+      ? fields['Shipping Country'].toUpperCase() === country
+      : String(fields['Shipping Address'] || '').toUpperCase().endsWith(`, ${country}`);
+    if (!matchesCountry) return false;
+  }
+
+  const usdTotal = Math.round(Number(fields['Total'] || 0) / (Number(fields['Exchange Rate']) || 1) * 100) / 100;
+  if (filter.minTotal !== undefined && usdTotal < filter.minTotal) return false;
+  if (filter.maxTotal !== undefined && usdTotal > filter.maxTotal) return false;
+
+  if (filter.q) {
+    const haystack = lower([fields['Order ID'], fields['Customer Name'], fields['Customer Email'], fields['Tracking Number']].join(' '));
+    if (!haystack.includes(filter.q.toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+function sortValue(record, field) {
+  const value = record.fields[field];
+  // `Created` is a created-time field in Airtable; use the record's own timestamp
+  if (value === undefined && field === 'Created') return record.createdTime;
+  return value;
+}
+
+// Blank values sort first ascending, as they do in Airtable
+function compareRecords(sorts) {
+  return (a, b) => {
+    for (const { field, direction } of sorts) {
+      const x = sortValue(a, field);
+      const y = sortValue(b, field);
+      if (x === y) continue;
+
+      const order = x === undefined ? -1 : y === undefined ? 1 : x < y ? -1 : 1;
+      return direction === 'desc' ? -order : order;
+    }
+    return 0;
+  };
+}
+
+function createFileStorage({ filePath, staff }) {
+  let data = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (data) return data;
+
+    data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    data.products = data.products || [];
+    data.orders = data.orders || [];
+    data.lineItems = data.lineItems || [];
+    data.statusHistory = data.statusHistory || [];
+    data.notificationLog = data.notificationLog || [];
+    data.promotions = data.promotions || [];
+    data.idempotencyKeys = data.idempotencyKeys || [];
+    // Staff saved before the `active` flag existed are active
+    data.staff = (data.staff || clone(staff)).map(member => ({ ...member, active: member.active !== false }));
+    return data;
+  }
+
+  // Writes are chained so the file always ends up with the latest full snapshot.
+  // Writing to a temp file and renaming avoids leaving a half-written store.
+  function save() {
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(`${filePath}.tmp`, snapshot);
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    });
+    return writing;
+  }
+
+  // Record helpers shared by the record collections
+  function collection(name, label) {
+    const rows = () => load()[name];
+
+    return {
+      rows,
+      find: (recordId) => {
+        const record = rows().find(row => row.id === recordId);
+        return record ? clone(record) : null;
+      },
+      findMany: (recordIds) => clone(rows().filter(row => recordIds.includes(row.id))),
+      async create(fieldsList) {
+        const createdTime = new Date().toISOString();
+        const created = fieldsList.map(fields => ({
+          id: newRecordId(),
+          createdTime,
+          fields: compactFields(clone(fields))
+        }));
+        rows().push(...created);
+        await save();
+        return clone(created);
+      },
+      // All-or-nothing like an Airtable batch: one unknown ID fails the whole update
+      async update(updates) {
+        const targets = updates.map(update => {
+          const record = rows().find(row => row.id === update.id);
+          if (!record) throw new RecordNotFoundError(label, update.id);
+          return record;
+        });
+
+        targets.forEach((record, index) => {
+          compactFields(Object.assign(record.fields, clone(updates[index].fields)));
+        });
+        await save();
+        return clone(targets);
+      }
+    };
+  }
+
+  const productRows = collection('products', 'Products');
+  const orderRows = collection('orders', 'Sales');
+  const lineItemRows = collection('lineItems', 'Order Line Items');
+  const historyRows = collection('statusHistory', 'Status History');
+  const notificationRows = collection('notificationLog', 'Notification Log');
+  const promotionRows = collection('promotions', 'Promotions');
+  const idempotencyRows = collection('idempotencyKeys', 'Idempotency Keys');
+  const sameCode = (value, code) => String(value || '').toUpperCase() === code.toUpperCase();
+
+  const products = {
+    async list({ filter, sort, pageSize = MAX_PAGE_SIZE, cursor } = {}) {
+      const start = cursor ? Number(cursor) : 0;
+      if (!Number.isInteger(start) || start < 0) {
+        throw new InvalidCursorError();
+      }
+
+      const matches = productRows.rows().filter(record => matchesProductFilter(record.fields, filter));
+      if (sort) {
+        matches.sort(compareRecords([sort]));
+      }
+
+      const size = Math.min(pageSize, MAX_PAGE_SIZE);
+      const end = start + size;
+      return {
+        records: clone(matches.slice(start, end)),
+        nextCursor: end < matches.length ? String(end) : null
+      };
+    },
+    listAll: async (filter) => clone(productRows.rows().filter(record => matchesProductFilter(record.fields, filter))),
+    get: async (recordId) => productRows.find(recordId),
+    getMany: async (recordIds) => productRows.findMany(recordIds),
+    updateMany: (updates) => productRows.update(updates)
+  };
+
+  const orders = {
+    get: async (recordId) => orderRows.find(recordId),
+    getMany: async (recordIds) => orderRows.findMany(recordIds),
+    async findByPaymentId(paymentIntentId) {
+      const record = orderRows.rows().find(row => row.fields['Stripe Payment ID'] === paymentIntentId);
+      return record ? clone(record) : null;
+    },
+    async findByOrderId(orderId) {
+      const record = orderRows.rows().find(row => row.fields['Order ID'] === orderId);
+      return record ? clone(record) : null;
+    },
+    async findByTrackingNumber(trackingNumber) {
+      const record = orderRows.rows().find(row => String(row.fields['Tracking Number'] || '').toUpperCase() === trackingNumber.toUpperCase());
+      return record ? clone(record) : null;
+    },
+    listByDiscountCode: async (code) => clone(orderRows.rows()
+      .filter(row => sameCode(row.fields['Discount Code'], code))),
+    async list({ filter, sort } = {}) {
+      const records = clone(orderRows.rows().filter(record => matchesOrderFilter(record.fields, filter)));
+      return sort ? records.sort(compareRecords(sort)) : records;
+    },
+    async listPage({ filter, sort, pageSize = MAX_PAGE_SIZE, cursor } = {}) {
+      const start = cursor ? Number(cursor) : 0;
+      if (!Number.isInteger(start) || start < 0) {
+        throw new InvalidCursorError();
+      }
+
+      const matches = orderRows.rows().filter(record => matchesOrderFilter(record.fields, filter));
+      if (sort) {
+        matches.sort(compareRecords(sort));
+      }
+
+      const end = start + Math.min(pageSize, MAX_PAGE_SIZE);
+      return {
+        records: clone(matches.slice(start, end)),
+        nextCursor: end < matches.length ? String(end) : null
+      };
+    },
+    countByStatus: async (filter) => orderRows.rows()
+      .filter(record => matchesOrderFilter(record.fields, filter))
+      .reduce((counts, record) => {
+        const status = record.fields['Order Status'] || 'Unknown';
+        counts[status] = (counts[status] || 0) + 1;
+        return counts;
+      }, {}),
+    async create(fields) {
+      const [record] = await orderRows.create([fields]);
+      return record;
+    },
+    async update(recordId, fields) {
+      const [record] = await orderRows.update([{ id: recordId, fields }]);
+      return record;
+    },
+    updateMany: (updates) => orderRows.update(updates)
+  };
+
+  const lineItems = {
+    add: (entries) => lineItemRows.create(entries),
+    listForOrders: async (recordIds) => clone(lineItemRows.rows()
+      .filter(row => recordIds.includes(row.fields['Sales Record ID']))
+      .sort(compareRecords([{ field: 'Line', direction: 'asc' }])))
+  };
+
+  const statusHistory = {
+    add: (entries) => historyRows.create(entries),
+    listForOrders: async (recordIds) => clone(historyRows.rows()
+      .filter(row => recordIds.includes(row.fields['Sales Record ID']))
+      .sort(compareRecords([{ field: 'Changed At', direction: 'asc' }]))),
+    listForOrder: async (recordId) => clone(historyRows.rows()
+      .filter(row => row.fields['Sales Record ID'] === recordId)
+      .sort(compareRecords([{ field: 'Changed At', direction: 'asc' }])))
+  };
+
+  const notificationLog = {
+    add: (entries) => notificationRows.create(entries),
+    listForOrder: async (recordId) => clone(notificationRows.rows()
+      .filter(row => row.fields['Sales Record ID'] === recordId)
+      .sort(compareRecords([{ field: 'Sent At', direction: 'asc' }])))
+  };
+
+  const promotions = {
+    list: async () => clone(promotionRows.rows()).sort(compareRecords([{ field: 'Code', direction: 'asc' }])),
+    get: async (recordId) => promotionRows.find(recordId),
+    async findByCode(code) {
+      const record = promotionRows.rows().find(row => sameCode(row.fields.Code, code));
+      return record ? clone(record) : null;
+    },
+    async create(fields) {
+      const [record] = await promotionRows.create([fields]);
+      return record;
+    },
+    async update(recordId, fields) {
+      const [record] = await promotionRows.update([{ id: recordId, fields }]);
+      return record;
+    }
+  };
+
+  const idempotencyKeys = {
+    async find(key) {
+      const record = idempotencyRows.rows().find(row => row.fields['Key'] === key);
+      return record ? clone(record) : null;
+    },
+    async save(key, fields) {
+      const existing = idempotencyRows.rows().find(row => row.fields['Key'] === key);
+      const [record] = existing
+        ? await idempotencyRows.update([{ id: existing.id, fields }])
+        : await idempotencyRows.create([{ 'Key': key, ...fields }]);
+      return record;
+    }
+  };
+
+  const staffMembers = {
+    list: async () => clone(load().staff),
+    get: async (staffId) => clone(load().staff.find(member => member.id === staffId) || null),
+    findByEmail: async (email) => clone(load().staff.find(member => member.email.toLowerCase() === String(email).toLowerCase()) || null),
+    async create(member) {
+      const created = { ...member, active: member.active !== false };
+      load().staff.push(created);
+      await save();
+      return clone(created);
+    },
+    async update(staffId, changes) {
+      const member = load().staff.find(candidate => candidate.id === staffId);
+      if (!member) return null;
+      Object.assign(member, changes);
+      await save();
+      return clone(member);
+    }
+  };
+
+  async function checkConnection() {
+    const store = load();
+    return {
+      products: { connected: true, recordCount: store.products.length, error: null },
+      sales: { connected: true, recordCount: store.orders.length, error: null }
+    };
+  }
+
+  return {
+    backend: 'file',
+    isConfigured: () => true,
+    products,
+    orders,
+    lineItems,
+    statusHistory,
+    notificationLog,
+    promotions,
+    staff: staffMembers,
+    idempotencyKeys,
+    checkConnection
+  };
+}
+
+module.exports = {
+  createFileStorage,
+  matchesProductFilter,
+  matchesOrderFilter
+};
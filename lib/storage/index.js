@@ -0,0 +1,51 @@
+// Storage backends behind one repository interface, chosen by STORAGE_BACKEND.
+// Every backend exposes:
+//
+//   products:      list({ filter, sort, pageSize, cursor }) -> { records, nextCursor },
+//                  listAll(filter), get(id), getMany(ids), updateMany([{ id, fields }])
+//   orders:        get(id), getMany(ids), findByPaymentId(paymentIntentId), findByOrderId(orderId),
+//                  findByTrackingNumber(trackingNumber), listByDiscountCode(code), list({ filter, sort }), create(fields), update(id, fields),
+//                  updateMany(updates), listPage({ filter, sort, pageSize, cursor }) -> { records, nextCursor },
+//                  countByStatus(filter) -> { [status]: count }
+//   lineItems:     add([fields]), listForOrders(salesRecordIds)
+//   statusHistory: add([fields]), listForOrder(salesRecordId), listForOrders(salesRecordIds)
+//   notificationLog: add([fields]), listForOrder(salesRecordId)
+//   promotions:    list(), get(id), findByCode(code), create(fields), update(id, fields)
+//   staff:         list(), get(id, { fresh }), findByEmail(email), create(member), update(id, changes)
+//                  with members as { id, name, email, role, active }
+//   idempotencyKeys: find(key), save(key, fields)
+//
+// plus isConfigured() and checkConnection(). Records use Airtable's
+// { id, createdTime, fields } shape and field names on every backend.
+
+const { createAirtableStorage } = require('./airtable');
+const { createFileStorage } = require('./file');
+const { StorageError, InvalidCursorError, RecordNotFoundError } = require('./errors');
+
+// Starting roster of a new data file; on Airtable the roster is the Staff table
+const DEFAULT_STAFF = [
+  { id: 'john', name: 'John Doe', email: 'john@nepalgoods.com', role: 'Manager' },
+  { id: 'jane', name: 'Jane Smith', email: 'jane@nepalgoods.com', role: 'Processor' },
+  { id: 'mike', name: 'Mike Johnson', email: 'mike@nepalgoods.com', role: 'Shipper' },
+  { id: 'sarah', name: 'Sarah Wilson', email: 'sarah@nepalgoods.com', role: 'Processor' },
+  { id: 'david', name: 'David Brown', email: 'david@nepalgoods.com', role: 'Shipper' }
+];
+
+function createStorage({ backend = 'airtable', airtable = {}, file = {} } = {}) {
+  switch (backend) {
+    case 'airtable':
+      return createAirtableStorage(airtable);
+    case 'file':
+      return createFileStorage({ ...file, staff: DEFAULT_STAFF });
+    default:
+      throw new Error(`Unknown storage backend "${backend}" (expected "airtable" or "file")`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  DEFAULT_STAFF,
+  StorageError,
+  InvalidCursorError,
+  RecordNotFoundError
+};
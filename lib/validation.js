@@ -0,0 +1,144 @@
+// Declarative request validation. Schemas are built from the rule helpers below
+// and checked with validateRequest(); every problem is reported as
+// { field, message } so clients can point at each bad input at once.
+
+const RECORD_ID_PATTERN = /^rec[A-Za-z0-9]{14}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// At least six digits, with optional leading + and common separators
+const PHONE_PATTERN = /^\+?(?=(?:\D*\d){6})[0-9 ().-]{6,24}$/;
+const COUNTRY_CODE_PATTERN = /^[A-Za-z]{2}$/;
+const CURRENCY_CODE_PATTERN = /^[A-Za-z]{3}$/;
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// A rule is (value, field, errors) => void. `check` returns an error message or nothing.
+function rule(check, { required = false } = {}) {
+  return (value, field, errors) => {
+    if (isMissing(value)) {
+      if (required) errors.push({ field, message: 'is required' });
+      return;
+    }
+    const message = check(value, field, errors);
+    if (message) errors.push({ field, message });
+  };
+}
+
+// With `ignoreCase`, `oneOf` values are given in lower case and matched in any case
+function string({ required, max = 500, pattern, patternMessage, oneOf, ignoreCase = false } = {}) {
+  return rule((value) => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (value.length > max) return `must be at most ${max} characters`;
+    if (oneOf && !oneOf.includes(ignoreCase ? value.toLowerCase() : value)) return `must be one of: ${oneOf.join(', ')}`;
+    if (pattern && !pattern.test(value)) return patternMessage || 'has an invalid format';
+  }, { required });
+}
+
+// Query string values arrive as text, so `fromString` also accepts numeric strings
+function number({ required, min, max, integer = false, fromString = false, decimals } = {}) {
+  return rule((value) => {
+    const parsed = fromString && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return 'must be a number';
+    if (integer && !Number.isInteger(parsed)) return 'must be a whole number';
+    if (min !== undefined && parsed < min) return `must be at least ${min}`;
+    if (max !== undefined && parsed > max) return `must be at most ${max}`;
+    if (decimals !== undefined && Math.abs(parsed * 10 ** decimals - Math.round(parsed * 10 ** decimals)) > 1e-6) {
+      return `must have at most ${decimals} decimal places`;
+    }
+  }, { required });
+}
+
+const boolean = (options = {}) => rule(value => (typeof value === 'boolean' ? undefined : 'must be true or false'), options);
+
+// ISO 8601 date or date-time text
+const dateTime = (options = {}) => rule(value => (
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))
+    ? undefined
+    : 'must be an ISO 8601 date such as 2026-10-01T00:00:00Z'
+), options);
+
+// Dollar amounts: non-negative, to the cent
+const money = (options = {}) => number({ min: 0, decimals: 2, ...options });
+
+const email = (options = {}) => string({ max: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address', ...options });
+const phone = (options = {}) => string({ max: 30, pattern: PHONE_PATTERN, patternMessage: 'must be a valid phone number', ...options });
+const countryCode = (options = {}) => string({ pattern: COUNTRY_CODE_PATTERN, patternMessage: 'must be a two-letter country code', ...options });
+const currencyCode = (options = {}) => string({ pattern: CURRENCY_CODE_PATTERN, patternMessage: 'must be a three-letter currency code', ...options });
+const recordId = (options = {}) => string({ pattern: RECORD_ID_PATTERN, patternMessage: 'must be a record ID like recXXXXXXXXXXXXXX', ...options });
+
+function array(itemRule, { required, min = 0, max = 100 } = {}) {
+  return rule((value, field, errors) => {
+    if (!Array.isArray(value)) return 'must be an array';
+    if (value.length < min) return `must contain at least ${min} item${min === 1 ? '' : 's'}`;
+    if (value.length > max) return `must contain at most ${max} items`;
+    value.forEach((item, index) => itemRule(item, `${field}[${index}]`, errors));
+  }, { required });
+}
+
+// Comma-separated text or a repeated query parameter
+function stringList({ required, max = 200 } = {}) {
+  return rule((value) => {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some(entry => typeof entry !== 'string')) return 'must be text or a list of text';
+    if (values.join(',').length > max) return `must be at most ${max} characters`;
+  }, { required });
+}
+
+// Keys not in `shape` are allowed and left alone
+function object(shape, { required } = {}) {
+  return rule((value, field, errors) => {
+    if (!isPlainObject(value)) return 'must be an object';
+    Object.entries(shape).forEach(([key, keyRule]) => {
+      keyRule(value[key], field ? `${field}.${key}` : key, errors);
+    });
+  }, { required });
+}
+
+function sendValidationError(res, details, error = 'Invalid request') {
+  return res.status(400).json({
+    success: false,
+    error,
+    details
+  });
+}
+
+// Middleware checking req.params, req.query and req.body against object shapes:
+// validateRequest({ params: { recordId: recordId({ required: true }) }, body: { ... } })
+function validateRequest(schemas) {
+  const parts = Object.entries(schemas).map(([part, shape]) => [part, object(shape, { required: true })]);
+
+  return (req, res, next) => {
+    const details = [];
+    parts.forEach(([part, partRule]) => {
+      const partErrors = [];
+      partRule(req[part], '', partErrors);
+      // Only a whole-part problem (such as a non-object body) has no field name
+      details.push(...partErrors.map(detail => ({ ...detail, field: detail.field || part })));
+    });
+
+    if (details.length > 0) {
+      console.warn('🚫 Invalid request to', req.method, req.path, details);
+      return sendValidationError(res, details);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  RECORD_ID_PATTERN,
+  string,
+  number,
+  boolean,
+  dateTime,
+  money,
+  email,
+  phone,
+  countryCode,
+  currencyCode,
+  recordId,
+  array,
+  stringList,
+  object,
+  validateRequest,
+  sendValidationError
+};
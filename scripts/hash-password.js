@@ -0,0 +1,15 @@
+// Generate a STAFF_PASSWORD_HASHES entry for a staff password
+// Usage: npm run hash-password -- <password>
+const crypto = require('crypto');
+
+const password = process.argv[2];
+
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+const salt = crypto.randomBytes(16).toString('hex');
+const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+
+console.log(`scrypt$${salt}$${hash}`);
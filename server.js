@@ -1,15 +1,138 @@
 const express = require('express');
 const Stripe = require('stripe');
 const cors = require('cors');
+const crypto = require('crypto');
+const { once } = require('events');
+const { AirtableError } = require('./lib/airtable');
+const { createStorage, StorageError, InvalidCursorError } = require('./lib/storage');
+const { createNotifier, createTransport, STATUS_TEMPLATES } = require('./lib/notifications');
+const {
+  validateRequest,
+  sendValidationError,
+  RECORD_ID_PATTERN,
+  string,
+  number,
+  boolean,
+  dateTime,
+  money,
+  email,
+  phone,
+  countryCode,
+  currencyCode,
+  recordId,
+  array,
+  stringList,
+  object
+} = require('./lib/validation');
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+  parseExchangeRates,
+  convertToMinorUnits
+} = require('./lib/currency');
+const { loadShippingConfig, createShippingCalculator } = require('./lib/shipping');
+const { PROMOTION_TYPES, normalizePromotionCode, evaluatePromotion } = require('./lib/promotions');
+const { csvRow, createPdf, drawInvoice, drawPackingSlip } = require('./lib/documents');
+const {
+  INTERVALS,
+  salesTotals,
+  salesOverTime,
+  topProducts,
+  topCategories,
+  ordersByStatus,
+  salesByCountry,
+  refundSummary,
+  staffThroughput
+} = require('./lib/analytics');
+const { createEventHub } = require('./lib/events');
+const { createCarriers, normalizeTrackingNumber, CarrierError, CARRIER_IDS } = require('./lib/carriers');
+const { createIdempotency } = require('./lib/idempotency');
 
 const app = express();
 
 // Initialize services with environment variables
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+const storage = createStorage({
+  backend: process.env.STORAGE_BACKEND || 'airtable',
+  airtable: {
+    token: process.env.AIRTABLE_TOKEN,
+    baseId: process.env.AIRTABLE_BASE_ID,
+    requestsPerSecond: Number(process.env.AIRTABLE_REQUESTS_PER_SECOND || 5)
+  },
+  file: {
+    filePath: process.env.STORAGE_FILE || 'data/store.json'
+  }
+});
+
+const notifier = createNotifier({
+  transport: createTransport({
+    type: process.env.EMAIL_TRANSPORT || 'console',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    file: {
+      directory: process.env.EMAIL_OUTBOX_DIR || 'data/outbox'
+    }
+  }),
+  from: process.env.EMAIL_FROM || 'NepalGoods <orders@nepalgoods.com>',
+  log: storage.notificationLog
+});
+
+// Stored responses for requests sent with an Idempotency-Key header
+const { idempotent } = createIdempotency({
+  store: storage.idempotencyKeys,
+  ttlMs: Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24) * 60 * 60 * 1000
+});
+
+// Status code for a failed request; storage and carrier errors carry their own
+function errorStatus(error) {
+  return error instanceof AirtableError || error instanceof StorageError || error instanceof CarrierError ? error.httpStatus : 500;
+}
+
+// ========== PRICING CONFIGURATION ==========
+
+// All cart math is done in the charge currency's minor units. Product prices and
+// shipping rates are in USD and converted at EXCHANGE_RATES.
+const EXCHANGE_RATES = parseExchangeRates(process.env.EXCHANGE_RATES);
+const shippingCalculator = createShippingCalculator(loadShippingConfig(process.env.SHIPPING_CONFIG_FILE));
+const DEFAULT_SERVICE_LEVEL = 'standard';
+const SERVICE_FEE_RATE = Number(process.env.SERVICE_FEE_RATE || 0);
+const MAX_ITEM_QUANTITY = 99;
+const MAX_CART_LINES = 50;
+
+// Route params that name a Sales record
+const RECORD_ID_PARAMS = { recordId: recordId({ required: true }) };
+
+const CURRENCY_PARAM = string({ oneOf: SUPPORTED_CURRENCIES, ignoreCase: true });
+
+// Currency of a Sales record; orders from before multi-currency are in USD
+function orderCurrency(record) {
+  return String(record.fields['Currency'] || BASE_CURRENCY).toLowerCase();
+}
+
+// Behind Heroku's router (or another proxy) every request arrives from the
+// proxy; trusting its X-Forwarded-For makes req.ip the client's address.
+// TRUST_PROXY is the number of proxy hops, or `false` when serving directly.
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', TRUST_PROXY === 'false' ? false : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for Stripe webhooks so the signature can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/stripe')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.static('public'));
 
 // Debug middleware - log all requests
@@ -31,13 +154,343 @@ app.get('/', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     endpoints: {
       products: '/api/products',
+      productFacets: '/api/products/facets',
+      product: '/api/products/:id',
       stripeConfig: '/api/stripe-config',
+      shippingQuote: '/api/shipping/quote',
+      applyPromotion: '/api/promotions/apply',
       createPayment: '/api/create-payment-intent',
       orders: '/api/orders',
       orderStatus: '/api/orders/:recordId/status',
+      stripeWebhook: '/api/webhooks/stripe',
       testAirtable: '/api/test-airtable',
-      workstation: '/api/orders/workstation'
+      workstation: '/api/orders/workstation',
+      exportOrders: '/api/orders/export',
+      packingSlips: '/api/orders/packing-slips',
+      analytics: '/api/analytics/sales',
+      myQueue: '/api/orders/my-queue',
+      orderEvents: '/api/orders/events',
+      carriers: '/api/carriers',
+      carrierWebhook: '/api/webhooks/order-status',
+      staff: '/api/staff',
+      login: '/api/auth/login'
+    }
+  });
+});
+
+// ========== STAFF AUTHENTICATION ==========
+
+// What each role may do on the order endpoints. `statuses: null` means any status.
+const ROLE_PERMISSIONS = {
+  Manager: { statuses: null, canAssign: true, canSetTracking: true, canBulkUpdate: true },
+  Processor: { statuses: ['Processing', 'On Hold', 'Awaiting Information'], canAssign: true, canSetTracking: false, canBulkUpdate: false },
+  Shipper: { statuses: ['Shipped', 'Delivered'], canAssign: false, canSetTracking: true, canBulkUpdate: false }
+};
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+
+// Credentials are configured per environment as JSON keyed by staff ID:
+//   STAFF_PASSWORD_HASHES={"john":"scrypt$<salt>$<hash>"}  (see scripts/hash-password.js)
+//   STAFF_API_KEYS={"john":"<long random key>"}
+function readCredentialConfig(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`❌ ${name} is not valid JSON`);
+    return {};
+  }
+}
+
+const STAFF_PASSWORD_HASHES = readCredentialConfig('STAFF_PASSWORD_HASHES');
+const STAFF_API_KEYS = readCredentialConfig('STAFF_API_KEYS');
+
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const derived = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return safeEqual(derived, hash);
+}
+
+// `<base64url claims>.<HMAC>` tokens, used for staff sessions and customer order links
+function signClaims(claims, secret) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// Claims of a validly signed, unexpired token, otherwise null
+function readSignedClaims(token, secret) {
+  if (!secret) return null;
+
+  const parts = String(token).split('.');
+  if (parts.length !== 2) return null;
+
+  const [payload, signature] = parts;
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function signSessionToken(staffMember) {
+  return signClaims({
+    sub: staffMember.id,
+    exp: Date.now() + SESSION_TTL_MS
+  }, process.env.AUTH_SECRET);
+}
+
+// Returns the staff ID for a valid, unexpired token, otherwise null
+function verifySessionToken(token) {
+  const claims = readSignedClaims(token, process.env.AUTH_SECRET);
+  // Order link tokens carry a `typ` and must never work as a staff session
+  return claims && !claims.typ ? claims.sub : null;
+}
+
+// A staff member by ID if they exist and are active, otherwise null
+async function findActiveStaff(staffId, options) {
+  const staffMember = await storage.staff.get(staffId, options);
+  return staffMember && staffMember.active ? staffMember : null;
+}
+
+// Resolve the calling staff member from a Bearer session token or an X-API-Key header.
+// Deactivated staff are refused even with a valid token or key. `options` go to
+// storage.staff.get.
+async function authenticateStaff(req, options) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    const staffId = verifySessionToken(authorization.slice('Bearer '.length));
+    return staffId ? findActiveStaff(staffId, options) : null;
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    const staffId = Object.keys(STAFF_API_KEYS).find(id => safeEqual(STAFF_API_KEYS[id], apiKey));
+    return staffId ? findActiveStaff(staffId, options) : null;
+  }
+
+  return null;
+}
+
+// Middleware: require a logged-in staff member, optionally limited to certain roles
+function requireStaff(...roles) {
+  return async (req, res, next) => {
+    let staffMember;
+    try {
+      staffMember = await authenticateStaff(req);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!staffMember) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (roles.length > 0 && !roles.includes(staffMember.role)) {
+      console.warn('🚫 Access denied for', staffMember.id, 'on', req.method, req.path);
+      return res.status(403).json({
+        success: false,
+        error: `This action requires one of these roles: ${roles.join(', ')}`
+      });
+    }
+
+    req.staff = staffMember;
+    next();
+  };
+}
+
+const LOGIN_SCHEMA = {
+  body: {
+    email: email({ required: true }),
+    password: string({ required: true, max: 200 })
+  }
+};
+
+// Staff login - exchanges email and password for a signed session token
+app.post('/api/auth/login', validateRequest(LOGIN_SCHEMA), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!process.env.AUTH_SECRET) {
+      console.error('❌ AUTH_SECRET not configured');
+      return res.status(500).json({
+        success: false,
+        error: 'Authentication not configured'
+      });
+    }
+
+    const staffMember = await storage.staff.findByEmail(email);
+    if (!staffMember || !staffMember.active || !verifyPassword(password, STAFF_PASSWORD_HASHES[staffMember.id])) {
+      console.warn('🚫 Failed login attempt for', email);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    console.log('🔐 Staff login:', staffMember.id);
+
+    res.json({
+      success: true,
+      token: signSessionToken(staffMember),
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+      staff: staffMember
+    });
+
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
+  }
+});
+
+// Current staff member and what their role allows
+app.get('/api/auth/me', requireStaff(), (req, res) => {
+  res.json({
+    success: true,
+    staff: req.staff,
+    permissions: ROLE_PERMISSIONS[req.staff.role] || null
+  });
+});
+
+// ========== RESPONSE CACHE ==========
+
+// In-process cache for Airtable-backed GET responses. Entries expire after a
+// per-namespace TTL and are dropped whenever the underlying data is written.
+const CACHE_TTL_MS = {
+  products: Number(process.env.PRODUCTS_CACHE_TTL_SECONDS || 60) * 1000,
+  orders: Number(process.env.ORDERS_CACHE_TTL_SECONDS || 15) * 1000
+};
+const MAX_CACHE_ENTRIES = 500;
+
+const responseCache = new Map();
+const cacheStats = Object.fromEntries(Object.keys(CACHE_TTL_MS).map(namespace => [namespace, { hits: 0, misses: 0, invalidations: 0 }]));
+// Bumped by every invalidation, so a response built from data read before a
+// write is not cached after it
+const cacheGenerations = Object.fromEntries(Object.keys(CACHE_TTL_MS).map(namespace => [namespace, 0]));
+
+function cacheKey(namespace, req) {
+  return `${namespace}:${req.originalUrl}`;
+}
+
+// Returns a fresh cache entry for this request, or null (counted as a miss)
+function readCache(namespace, req) {
+  req.cacheGenerations = { ...req.cacheGenerations, [namespace]: cacheGenerations[namespace] };
+  const entry = responseCache.get(cacheKey(namespace, req));
+
+  if (entry && entry.expiresAt > Date.now()) {
+    cacheStats[namespace].hits++;
+    return entry;
+  }
+
+  cacheStats[namespace].misses++;
+  return null;
+}
+
+function writeCache(namespace, req, body) {
+  const json = JSON.stringify(body);
+  const entry = {
+    json,
+    etag: `W/"${crypto.createHash('sha1').update(json).digest('base64url')}"`,
+    expiresAt: Date.now() + CACHE_TTL_MS[namespace]
+  };
+
+  // The body is still sent, but stale if the namespace was invalidated since readCache
+  if (!req.cacheGenerations || req.cacheGenerations[namespace] !== cacheGenerations[namespace]) {
+    return entry;
+  }
+
+  // Evict the oldest entry once full (Maps iterate in insertion order)
+  if (responseCache.size >= MAX_CACHE_ENTRIES) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+  responseCache.set(cacheKey(namespace, req), entry);
+
+  return entry;
+}
+
+function invalidateCache(namespace) {
+  const prefix = `${namespace}:`;
+  for (const key of responseCache.keys()) {
+    if (key.startsWith(prefix)) {
+      responseCache.delete(key);
+    }
+  }
+  cacheGenerations[namespace]++;
+  cacheStats[namespace].invalidations++;
+}
+
+// Send a cached JSON body with its ETag, answering 304 when the client already has it
+function sendCachedJson(req, res, entry, hit) {
+  res.set('ETag', entry.etag);
+  res.set('Cache-Control', 'private, no-cache');
+  res.set('X-Cache', hit ? 'HIT' : 'MISS');
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(entry.etag)) {
+    return res.status(304).end();
+  }
+
+  res.type('application/json').send(entry.json);
+}
+
+// Cache hit/miss counters (Managers only)
+app.get('/api/admin/cache', requireStaff('Manager'), (req, res) => {
+  const now = Date.now();
+  const entries = {};
+  for (const [key, entry] of responseCache) {
+    const namespace = key.split(':')[0];
+    if (entry.expiresAt > now) {
+      entries[namespace] = (entries[namespace] || 0) + 1;
     }
+  }
+
+  res.json({
+    success: true,
+    cache: Object.fromEntries(Object.keys(CACHE_TTL_MS).map(namespace => [namespace, {
+      ...cacheStats[namespace],
+      entries: entries[namespace] || 0,
+      ttlSeconds: CACHE_TTL_MS[namespace] / 1000
+    }]))
+  });
+});
+
+const CACHE_REFRESH_SCHEMA = {
+  body: {
+    namespace: string({ oneOf: Object.keys(CACHE_TTL_MS) })
+  }
+};
+
+// Force a refresh of one namespace, or everything (Managers only)
+app.post('/api/admin/cache/refresh', requireStaff('Manager'), validateRequest(CACHE_REFRESH_SCHEMA), (req, res) => {
+  const { namespace } = req.body;
+
+  const namespaces = namespace ? [namespace] : Object.keys(CACHE_TTL_MS);
+  namespaces.forEach(invalidateCache);
+  console.log('🧹 Cache refreshed by', req.staff.id, namespaces);
+
+  res.json({
+    success: true,
+    message: `Cleared cache: ${namespaces.join(', ')}`
   });
 });
 
@@ -69,13 +522,128 @@ app.get('/api/stripe-config', (req, res) => {
 
 // ========== PRODUCTS ENDPOINTS ==========
 
-// Get all products from Airtable
-app.get('/api/products', async (req, res) => {
+// Map an Airtable Products record to the storefront product shape, priced in `currency`
+function formatProduct(record, currency = BASE_CURRENCY) {
+  const fields = record.fields;
+  
+  // Get image URL with fallbacks
+  const imgUrl = (fields.Image && fields.Image[0] && fields.Image[0].thumbnails && fields.Image[0].thumbnails.large && fields.Image[0].thumbnails.large.url) ||
+                 (fields.Image && fields.Image[0] && fields.Image[0].url) ||
+                 'https://via.placeholder.com/300x200?text=No+Image';
+
+  // Get multiple images if available
+  const images = [];
+  if (fields.Image && Array.isArray(fields.Image)) {
+    fields.Image.forEach(img => {
+      const url = (img.thumbnails && img.thumbnails.large && img.thumbnails.large.url) || img.url;
+      if (url) images.push(url);
+    });
+  }
+  
+  // If no multiple images, use the single image
+  if (images.length === 0 && imgUrl) {
+    images.push(imgUrl);
+  }
+
+  return {
+    id: record.id,
+    name: fields.Name || 'Untitled',
+    price: typeof fields.Price !== 'undefined'
+      ? fromMinorUnits(convertToMinorUnits(fields.Price, currency, EXCHANGE_RATES[currency]), currency)
+      : 0,
+    currency,
+    subtitle: fields.Subtitle || 'Premium quality product',
+    description: fields.Description || 'This premium product offers exceptional quality and value.',
+    image: imgUrl,
+    images: images,
+    category: fields.Category || '',
+    sizes: fields.Size || [],
+    tags: fields.Tags || [],
+    rating: typeof fields.Rating !== 'undefined' ? Number(fields.Rating) : null,
+    weight: typeof fields.Weight !== 'undefined' ? Number(fields.Weight) : null,
+    reviewCount: typeof fields.ReviewCount !== 'undefined' ? Number(fields.ReviewCount) : 0,
+    ...stockSummary(record)
+  };
+}
+
+// Sort options for GET /api/products. `newest` uses the Products table's
+// `Created` (created time) field.
+const PRODUCT_SORTS = {
+  price_asc: { field: 'Price', direction: 'asc' },
+  price_desc: { field: 'Price', direction: 'desc' },
+  rating: { field: 'Rating', direction: 'desc' },
+  newest: { field: 'Created', direction: 'desc' }
+};
+const MAX_PRODUCT_PAGE_SIZE = 100;
+
+function parseListParam(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+}
+
+// Catalog filter parameters shared by GET /api/products and /api/products/facets
+const PRODUCT_FILTER_QUERY = {
+  category: string({ max: 100 }),
+  tags: stringList(),
+  size: string({ max: 50 }),
+  minPrice: money({ fromString: true }),
+  maxPrice: money({ fromString: true }),
+  q: string({ max: 200 })
+};
+
+const PRODUCT_LIST_SCHEMA = {
+  query: {
+    ...PRODUCT_FILTER_QUERY,
+    sort: string({ oneOf: Object.keys(PRODUCT_SORTS) }),
+    currency: CURRENCY_PARAM,
+    pageSize: number({ integer: true, min: 1, max: MAX_PRODUCT_PAGE_SIZE, fromString: true }),
+    cursor: string({ max: 500 })
+  }
+};
+
+// Build a catalog filter from validated query parameters; each storage
+// backend turns it into its own query
+function buildProductFilter(query) {
+  const filter = {};
+
+  if (query.category) {
+    filter.category = String(query.category);
+  }
+
+  const tags = parseListParam(query.tags);
+  if (tags.length > 0) {
+    filter.tags = tags;
+  }
+
+  if (query.size) {
+    filter.size = String(query.size);
+  }
+
+  ['minPrice', 'maxPrice'].forEach(param => {
+    if (query[param] !== undefined && query[param] !== '') {
+      filter[param] = Number(query[param]);
+    }
+  });
+
+  if (query.q && String(query.q).trim()) {
+    filter.q = String(query.q).trim();
+  }
+
+  return filter;
+}
+
+// List products from Airtable
+// Query: category, tags (comma-separated, all must match), size, minPrice,
+// maxPrice, q, sort (price_asc|price_desc|rating|newest), currency, pageSize, cursor.
+// Price filters are in USD; prices are returned in `currency`.
+app.get('/api/products', validateRequest(PRODUCT_LIST_SCHEMA), async (req, res) => {
   try {
-    console.log('🛍️ Fetching products from Airtable...');
+    console.log('🛍️ Fetching products from Airtable...', req.query);
     
     // Validate environment variables
-    if (!process.env.AIRTABLE_TOKEN || !process.env.AIRTABLE_BASE_ID) {
+    if (!storage.isConfigured()) {
       console.error('❌ Airtable configuration missing');
       return res.status(500).json({
         success: false,
@@ -83,669 +651,4191 @@ app.get('/api/products', async (req, res) => {
       });
     }
 
-    console.log('✅ Airtable Base ID:', process.env.AIRTABLE_BASE_ID ? 'Set' : 'Missing');
-    console.log('✅ Airtable Token:', process.env.AIRTABLE_TOKEN ? 'Set' : 'Missing');
-
-    // Use a simple fetch approach to avoid Airtable library issues
-    const response = await fetch(`https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/Products`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const filter = buildProductFilter(req.query);
+    const sort = req.query.sort ? PRODUCT_SORTS[req.query.sort] : null;
+    const pageSize = req.query.pageSize ? Number(req.query.pageSize) : MAX_PRODUCT_PAGE_SIZE;
+    const currency = (req.query.currency || BASE_CURRENCY).toLowerCase();
 
-    if (!response.ok) {
-      throw new Error(`Airtable API error: ${response.status} ${response.statusText}`);
+    const cached = readCache('products', req);
+    if (cached) {
+      return sendCachedJson(req, res, cached, true);
     }
 
-    const data = await response.json();
-    console.log(`📊 Found ${data.records ? data.records.length : 0} records from Airtable`);
-
-    if (!data.records) {
-      throw new Error('No records found in Airtable response');
+    let page;
+    try {
+      page = await storage.products.list({ filter, sort, pageSize, cursor: req.query.cursor });
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return sendValidationError(res, [{ field: 'cursor', message: 'is invalid or has expired' }]);
+      }
+      throw error;
     }
 
-    const products = data.records.map(record => {
-      const fields = record.fields;
-      
-      // Get image URL with fallbacks
-      const imgUrl = (fields.Image && fields.Image[0] && fields.Image[0].thumbnails && fields.Image[0].thumbnails.large && fields.Image[0].thumbnails.large.url) ||
-                     (fields.Image && fields.Image[0] && fields.Image[0].url) ||
-                     'https://via.placeholder.com/300x200?text=No+Image';
+    console.log(`📊 Found ${page.records.length} records from Airtable`);
 
-      // Get multiple images if available
-      const images = [];
-      if (fields.Image && Array.isArray(fields.Image)) {
-        fields.Image.forEach(img => {
-          const url = (img.thumbnails && img.thumbnails.large && img.thumbnails.large.url) || img.url;
-          if (url) images.push(url);
-        });
-      }
-      
-      // If no multiple images, use the single image
-      if (images.length === 0 && imgUrl) {
-        images.push(imgUrl);
-      }
-
-      return {
-        id: record.id,
-        name: fields.Name || 'Untitled',
-        price: typeof fields.Price !== 'undefined' ? Number(fields.Price) : 0,
-        subtitle: fields.Subtitle || 'Premium quality product',
-        description: fields.Description || 'This premium product offers exceptional quality and value.',
-        image: imgUrl,
-        images: images,
-        category: fields.Category || '',
-        sizes: fields.Size || [],
-        tags: fields.Tags || [],
-        rating: typeof fields.Rating !== 'undefined' ? Number(fields.Rating) : null,
-        reviewCount: typeof fields.ReviewCount !== 'undefined' ? Number(fields.ReviewCount) : 0
-      };
-    });
+    const products = page.records.map(record => formatProduct(record, currency));
 
     console.log(`✅ Successfully processed ${products.length} products`);
-    res.json({ success: true, products });
+    sendCachedJson(req, res, writeCache('products', req, {
+      success: true,
+      products,
+      pagination: {
+        pageSize,
+        nextCursor: page.nextCursor,
+        hasMore: Boolean(page.nextCursor)
+      }
+    }));
     
   } catch (error) {
     console.error('❌ Error fetching products from Airtable:', error);
-    res.status(500).json({ 
+    res.status(errorStatus(error)).json({ 
       success: false, 
       error: 'Failed to fetch products from Airtable: ' + error.message
     });
   }
 });
 
-// ========== PAYMENT ENDPOINTS ==========
+// Category and tag counts for the storefront filter sidebar.
+// Accepts the same filters as GET /api/products.
+app.get('/api/products/facets', validateRequest({ query: PRODUCT_FILTER_QUERY }), async (req, res) => {
+  try {
+    console.log('🗂️ Building product facets...', req.query);
+
+    const filter = buildProductFilter(req.query);
+
+    const cached = readCache('products', req);
+    if (cached) {
+      return sendCachedJson(req, res, cached, true);
+    }
 
-// Create Stripe payment intent
-app.post('/api/create-payment-intent', async (req, res) => {
+    const records = await storage.products.listAll(filter);
+    const categories = {};
+    const tags = {};
+
+    records.forEach(record => {
+      const category = record.fields.Category;
+      if (category) {
+        categories[category] = (categories[category] || 0) + 1;
+      }
+      (record.fields.Tags || []).forEach(tag => {
+        tags[tag] = (tags[tag] || 0) + 1;
+      });
+    });
+
+    const toCounts = (counts) => Object.entries(counts)
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+    sendCachedJson(req, res, writeCache('products', req, {
+      success: true,
+      total: records.length,
+      facets: {
+        categories: toCounts(categories),
+        tags: toCounts(tags)
+      }
+    }));
+
+  } catch (error) {
+    console.error('❌ Error building product facets:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to fetch product facets: ' + error.message
+    });
+  }
+});
+
+// Get a single product, priced in the optional `currency` query parameter
+app.get('/api/products/:id', validateRequest({ query: { currency: CURRENCY_PARAM } }), async (req, res) => {
   try {
-    const { amount, currency = 'usd', metadata } = req.body;
-    
-    console.log('💳 Creating payment intent for amount:', amount);
-    
-    // Validate environment variables
-    if (!process.env.STRIPE_SECRET_KEY) {
-      console.error('❌ Stripe secret key not configured');
-      return res.status(500).json({
+    const { id } = req.params;
+    const currency = (req.query.currency || BASE_CURRENCY).toLowerCase();
+
+    if (!RECORD_ID_PATTERN.test(id)) {
+      return res.status(404).json({
         success: false,
-        error: 'Payment system not configured'
+        error: 'Product not found'
       });
     }
 
-    // Validate amount
-    if (!amount || amount < 1) {
-      return res.status(400).json({
+    const cached = readCache('products', req);
+    if (cached) {
+      return sendCachedJson(req, res, cached, true);
+    }
+
+    const record = await storage.products.get(id);
+    if (!record) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid amount'
+        error: 'Product not found'
       });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount), // Convert to cents
-      currency: currency,
-      metadata: metadata || {},
-      automatic_payment_methods: {
-        enabled: true,
-      },
-    });
+    sendCachedJson(req, res, writeCache('products', req, { success: true, product: formatProduct(record, currency) }));
 
-    console.log('✅ Payment intent created:', paymentIntent.id);
-    
-    res.json({ 
-      success: true, 
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
-    });
-    
   } catch (error) {
-    console.error('❌ Error creating payment intent:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to create payment intent: ' + error.message
+    console.error('❌ Error fetching product:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to fetch product: ' + error.message
     });
   }
 });
 
-// ========== ORDER MANAGEMENT ==========
+// ========== INVENTORY ==========
 
-// Complete order processing
-app.post('/api/orders', async (req, res) => {
-  try {
-    const {
-      customer,
-      shipping,
-      order,
-      payment,
-      notes
-    } = req.body;
+// Products track stock with a `Stock` number and, for sized products, an
+// optional `Size Stock` text field such as "S:3, M:2, L:0". Products with
+// neither field are treated as unlimited.
+const RESERVATION_TTL_MS = Number(process.env.RESERVATION_TTL_MINUTES || 30) * 60 * 1000;
 
-    console.log('🛒 Processing complete order request');
-    console.log('👤 Customer:', customer?.email);
-    console.log('📦 Order items count:', order?.items?.length);
-    console.log('💳 Payment ID:', payment?.id);
+// Stock held for checkouts that have a payment intent but no order yet,
+// keyed by order ID: { items: [{ productId, size, quantity }], expiresAt }
+const stockReservations = new Map();
 
-    // Validate environment variables
-    if (!process.env.AIRTABLE_TOKEN || !process.env.AIRTABLE_BASE_ID) {
-      console.error('❌ Airtable configuration missing');
-      return res.status(500).json({
-        success: false,
-        error: 'Order system not configured - Airtable credentials missing'
-      });
+function parseSizeStock(value) {
+  if (!value) return null;
+
+  const sizeStock = {};
+  String(value).split(',').forEach(entry => {
+    const [size, quantity] = entry.split(':').map(part => part.trim());
+    if (size) sizeStock[size] = Number(quantity) || 0;
+  });
+
+  return Object.keys(sizeStock).length > 0 ? sizeStock : null;
+}
+
+function formatSizeStock(sizeStock) {
+  return Object.entries(sizeStock).map(([size, quantity]) => `${size}:${quantity}`).join(', ');
+}
+
+function reservedQuantity(productId, size) {
+  const now = Date.now();
+  let reserved = 0;
+
+  for (const [key, reservation] of stockReservations) {
+    if (reservation.expiresAt <= now) {
+      stockReservations.delete(key);
+      continue;
+    }
+    reservation.items.forEach(item => {
+      if (item.productId === productId && (size === undefined || item.size === size)) {
+        reserved += item.quantity;
+      }
+    });
+  }
+
+  return reserved;
+}
+
+// Units that can still be sold, after reservations. null means not tracked.
+// Without a size, sized products report their total across sizes.
+function availableStock(record, size) {
+  const fields = record.fields;
+  const sizeStock = parseSizeStock(fields['Size Stock']);
+
+  if (sizeStock) {
+    if (size) {
+      return Math.max(0, (sizeStock[size] || 0) - reservedQuantity(record.id, size));
     }
+    return Object.keys(sizeStock).reduce((sum, key) => sum + availableStock(record, key), 0);
+  }
 
-    // Validate required fields
-    if (!customer || !shipping || !order || !payment) {
-      console.error('❌ Missing required order information');
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required order information'
+  if (typeof fields.Stock !== 'undefined' && fields.Stock !== null) {
+    return Math.max(0, Number(fields.Stock) - reservedQuantity(record.id));
+  }
+
+  return null;
+}
+
+function stockSummary(record) {
+  const sizeStock = parseSizeStock(record.fields['Size Stock']);
+  const stock = availableStock(record);
+
+  return {
+    stock,
+    sizeStock: sizeStock
+      ? Object.fromEntries(Object.keys(sizeStock).map(size => [size, availableStock(record, size)]))
+      : null,
+    inStock: stock === null || stock > 0
+  };
+}
+
+// Check every cart line against available stock. Lines for the same product
+// and size are added up first. Returns item-level { field, message } errors.
+function checkStock(lineItems, recordsById) {
+  const errors = [];
+  const requested = new Map();
+
+  lineItems.forEach((item, index) => {
+    const record = recordsById.get(item.productId);
+    const sizeTracked = Boolean(parseSizeStock(record.fields['Size Stock']));
+    const key = sizeTracked ? `${item.productId}|${item.size}` : item.productId;
+    const total = (requested.get(key) || 0) + item.quantity;
+    requested.set(key, total);
+
+    const available = availableStock(record, sizeTracked ? item.size : undefined);
+    if (available !== null && total > available) {
+      const label = `${item.name}${item.size ? ` (Size: ${item.size})` : ''}`;
+      errors.push({
+        field: `items[${index}]`,
+        message: available === 0 ? `${label} is out of stock` : `only ${available} of ${label} left in stock`
       });
     }
+  });
 
-    if (!customer.firstName || !customer.lastName || !customer.email) {
-      console.error('❌ Missing customer information');
-      return res.status(400).json({
-        success: false,
-        error: 'Missing customer information'
+  return errors;
+}
+
+function reserveStock(reservationKey, lineItems) {
+  stockReservations.set(reservationKey, {
+    items: lineItems.map(item => ({ productId: item.productId, size: item.size || '', quantity: item.quantity })),
+    expiresAt: Date.now() + RESERVATION_TTL_MS
+  });
+  invalidateCache('products');
+}
+
+function releaseReservation(reservationKey) {
+  if (stockReservations.delete(reservationKey)) {
+    invalidateCache('products');
+  }
+}
+
+// Stock writes are read-modify-write against Airtable, so they run one at a time
+let inventoryQueue = Promise.resolve();
+
+function withInventoryLock(task) {
+  const run = inventoryQueue.then(task);
+  inventoryQueue = run.catch(() => {});
+  return run;
+}
+
+// Add (direction 1) or remove (direction -1) units from the Products table
+function adjustStock(items, direction) {
+  return withInventoryLock(async () => {
+    const records = await fetchProductsByIds([...new Set(items.map(item => item.productId))]);
+    const updates = [];
+
+    records.forEach(record => {
+      const fields = {};
+      const sizeStock = parseSizeStock(record.fields['Size Stock']);
+      const hasStock = typeof record.fields.Stock !== 'undefined' && record.fields.Stock !== null;
+      let stock = hasStock ? Number(record.fields.Stock) : null;
+
+      items.filter(item => item.productId === record.id).forEach(item => {
+        const change = direction * item.quantity;
+        if (sizeStock && item.size) {
+          sizeStock[item.size] = (sizeStock[item.size] || 0) + change;
+          if (sizeStock[item.size] < 0) {
+            console.warn(`⚠️ Oversold ${record.fields.Name} (Size: ${item.size}) by ${-sizeStock[item.size]}`);
+            sizeStock[item.size] = 0;
+          }
+          fields['Size Stock'] = formatSizeStock(sizeStock);
+        }
+        if (stock !== null) {
+          stock += change;
+          if (stock < 0) {
+            console.warn(`⚠️ Oversold ${record.fields.Name} by ${-stock}`);
+            stock = 0;
+          }
+          fields['Stock'] = stock;
+        }
       });
-    }
 
-    // Generate order ID
-    const orderId = `NG${Date.now()}${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
-    console.log('📝 Generated Order ID:', orderId);
+      if (Object.keys(fields).length > 0) {
+        updates.push({ id: record.id, fields });
+      }
+    });
+
+    await storage.products.updateMany(updates);
+
+    invalidateCache('products');
+    console.log(`📦 Stock ${direction < 0 ? 'committed' : 'released'} for ${updates.length} products`);
+  });
+}
+
+// Turn an order's reservation into a real stock decrement. Inventory problems
+// must not lose a paid order, so failures are logged and flagged on the record.
+async function commitOrderStock(record, lineItems) {
+  const orderId = record.fields['Order ID'];
+
+  try {
+    if (lineItems.length > 0) {
+      await adjustStock(lineItems, -1);
+    }
+    releaseReservation(orderId);
+  } catch (error) {
+    console.error('❌ Failed to commit stock for order', orderId, error.message);
+    await updateSaleRecord(record.id, { 'Stock Committed': false });
+  }
+}
+
+// Put refunded or cancelled units back on the shelf
+async function restockOrderItems(record, items) {
+  if (!record.fields['Stock Committed'] || items.length === 0) return;
+
+  try {
+    await adjustStock(items, 1);
+  } catch (error) {
+    console.error('❌ Failed to restock items for order', record.fields['Order ID'], error.message);
+  }
+}
+
+// ========== PROMOTIONS ==========
+
+// Discount codes live in the Promotions table. `Type` is a single select whose
+// labels map to the types lib/promotions understands; `Value` is a percentage
+// or a USD amount, and `Minimum Order` is USD.
+const PROMOTION_TYPE_LABELS = {
+  percentage: 'Percentage',
+  fixed: 'Fixed Amount',
+  free_shipping: 'Free Shipping'
+};
+const PROMOTION_CODE_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+
+function formatPromotion(record) {
+  const fields = record.fields;
+  const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+  const type = Object.keys(PROMOTION_TYPE_LABELS).find(key => PROMOTION_TYPE_LABELS[key] === fields['Type']);
+
+  return {
+    id: record.id,
+    code: normalizePromotionCode(fields['Code']),
+    description: fields['Description'] || '',
+    type: type || null,
+    value: Number(fields['Value'] || 0),
+    minimumOrder: Number(fields['Minimum Order'] || 0),
+    productIds: fields['Products'] || [],
+    categories: fields['Categories'] || [],
+    startsAt: fields['Starts At'] || null,
+    endsAt: fields['Ends At'] || null,
+    maxUses: optionalNumber(fields['Max Uses']),
+    maxUsesPerCustomer: optionalNumber(fields['Max Uses Per Customer']),
+    active: Boolean(fields['Active'])
+  };
+}
+
+// Promotions fields for the keys present in a create or update body; null clears a field
+function promotionFields(body) {
+  const mapping = {
+    description: 'Description',
+    value: 'Value',
+    minimumOrder: 'Minimum Order',
+    productIds: 'Products',
+    categories: 'Categories',
+    startsAt: 'Starts At',
+    endsAt: 'Ends At',
+    maxUses: 'Max Uses',
+    maxUsesPerCustomer: 'Max Uses Per Customer',
+    active: 'Active'
+  };
+
+  const fields = {};
+  Object.entries(mapping).forEach(([key, field]) => {
+    if (key in body) fields[field] = body[key];
+  });
+  if (body.type) fields['Type'] = PROMOTION_TYPE_LABELS[body.type];
+  return fields;
+}
+
+// Rules that span fields, checked on the promotion as it would be saved
+function promotionRuleErrors(promotion) {
+  const errors = [];
+  if (promotion.type !== 'free_shipping' && !(promotion.value > 0)) {
+    errors.push({ field: 'value', message: `must be more than 0 for ${promotion.type} promotions` });
+  }
+  if (promotion.type === 'percentage' && promotion.value > 100) {
+    errors.push({ field: 'value', message: 'must be at most 100 for percentage promotions' });
+  }
+  if (promotion.startsAt && promotion.endsAt && new Date(promotion.startsAt) >= new Date(promotion.endsAt)) {
+    errors.push({ field: 'endsAt', message: 'must be after startsAt' });
+  }
+  return errors;
+}
+
+// Times a code has been used, overall and by one customer, counted from the
+// Sales records that carry it. Cancelled orders give their use back;
+// `excludePaymentId` leaves out the order being placed.
+async function promotionUsage(code, { customerEmail, excludePaymentId } = {}) {
+  const records = (await storage.orders.listByDiscountCode(code)).filter(record =>
+    record.fields['Order Status'] !== 'Cancelled' && record.fields['Stripe Payment ID'] !== excludePaymentId);
+  const emailKey = String(customerEmail || '').toLowerCase();
+
+  return {
+    total: records.length,
+    customer: emailKey
+      ? records.filter(record => String(record.fields['Customer Email'] || '').toLowerCase() === emailKey).length
+      : 0
+  };
+}
+
+// Look up a discount code and check it against a priced cart (see
+// evaluatePromotion). Returns { problems } for unknown codes.
+async function applyPromotion(code, { lineItems, currency, exchangeRate, customerEmail, excludePaymentId }) {
+  const record = await storage.promotions.findByCode(normalizePromotionCode(code));
+  if (!record) {
+    return { problems: ['is not a valid code'] };
+  }
+
+  const promotion = formatPromotion(record);
+  const usage = await promotionUsage(promotion.code, { customerEmail, excludePaymentId });
+  return {
+    promotion,
+    ...evaluatePromotion(promotion, { lineItems, currency, exchangeRate, customerEmail, usage })
+  };
+}
+
+const PROMOTION_FIELDS = {
+  description: string({ max: 500 }),
+  type: string({ oneOf: PROMOTION_TYPES }),
+  value: number({ min: 0, decimals: 2 }),
+  minimumOrder: money(),
+  productIds: array(recordId(), { max: 100 }),
+  categories: array(string({ max: 100 }), { max: 50 }),
+  startsAt: dateTime(),
+  endsAt: dateTime(),
+  maxUses: number({ integer: true, min: 1 }),
+  maxUsesPerCustomer: number({ integer: true, min: 1 }),
+  active: boolean()
+};
+
+const CREATE_PROMOTION_SCHEMA = {
+  body: {
+    ...PROMOTION_FIELDS,
+    code: string({ required: true, pattern: PROMOTION_CODE_PATTERN, patternMessage: 'must be 3-32 letters, digits, - or _' }),
+    type: string({ required: true, oneOf: PROMOTION_TYPES })
+  }
+};
+
+// The code itself cannot change once customers may have used it
+const UPDATE_PROMOTION_SCHEMA = {
+  params: { recordId: recordId({ required: true }) },
+  body: PROMOTION_FIELDS
+};
+
+// Every promotion with how often it has been used
+app.get('/api/promotions', requireStaff('Manager'), async (req, res) => {
+  try {
+    const records = await storage.promotions.list();
+
+    const promotions = [];
+    for (const record of records) {
+      const promotion = formatPromotion(record);
+      const usage = await promotionUsage(promotion.code);
+      promotions.push({ ...promotion, timesUsed: usage.total });
+    }
+
+    res.json({ success: true, promotions });
+
+  } catch (error) {
+    console.error('❌ Error fetching promotions:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to fetch promotions: ' + error.message
+    });
+  }
+});
+
+app.post('/api/promotions', requireStaff('Manager'), validateRequest(CREATE_PROMOTION_SCHEMA), async (req, res) => {
+  try {
+    const code = normalizePromotionCode(req.body.code);
+    const fields = { 'Code': code, 'Active': true, ...promotionFields(req.body) };
+
+    const errors = promotionRuleErrors(formatPromotion({ fields }));
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (await storage.promotions.findByCode(code)) {
+      return res.status(409).json({
+        success: false,
+        error: `Promotion ${code} already exists`
+      });
+    }
+
+    const record = await storage.promotions.create(fields);
+    console.log('🏷️ Promotion created:', code, 'by', req.staff.id);
+
+    res.status(201).json({ success: true, promotion: formatPromotion(record) });
+
+  } catch (error) {
+    console.error('❌ Error creating promotion:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to create promotion: ' + error.message
+    });
+  }
+});
+
+app.patch('/api/promotions/:recordId', requireStaff('Manager'), validateRequest(UPDATE_PROMOTION_SCHEMA), async (req, res) => {
+  try {
+    const existing = await storage.promotions.get(req.params.recordId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    const fields = promotionFields(req.body);
+    const errors = promotionRuleErrors(formatPromotion({ ...existing, fields: { ...existing.fields, ...fields } }));
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const record = await storage.promotions.update(existing.id, fields);
+    console.log('🏷️ Promotion updated:', record.fields['Code'], 'by', req.staff.id);
+
+    res.json({ success: true, promotion: formatPromotion(record) });
+
+  } catch (error) {
+    console.error('❌ Error updating promotion:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to update promotion: ' + error.message
+    });
+  }
+});
+
+// ========== PAYMENT ENDPOINTS ==========
+
+// Fetch Products records by ID
+function fetchProductsByIds(productIds) {
+  return storage.products.getMany(productIds);
+}
+
+// Shipping, tax and service fee for priced lines ({ lineTotal } in `currency`
+// minor units) weighing `weightKg`. Used when pricing a cart and again when the
+// order is submitted. A discount code's `discount` comes off the goods before
+// tax and fees, and `freeShipping` waives shipping. Returns null when the
+// service level does not ship there.
+function calculateCharges(lineItems, { country, serviceLevel, weightKg, currency, exchangeRate, discount = 0, freeShipping = false }) {
+  const subtotal = lineItems.reduce((sum, item) => sum + item.lineTotal, 0);
+  const goods = subtotal - discount;
+  const shippingQuote = shippingCalculator.quote({
+    country,
+    serviceLevel,
+    weightKg,
+    subtotal: fromMinorUnits(goods, currency) / exchangeRate
+  });
+  if (!shippingQuote) return null;
+
+  const shippingService = freeShipping ? { ...shippingQuote, amount: 0, freeShipping: true } : shippingQuote;
+  const shipping = convertToMinorUnits(shippingService.amount, currency, exchangeRate);
+  const taxRate = shippingCalculator.taxRateFor(country);
+  const tax = Math.round(goods * taxRate);
+  const serviceFee = Math.round(goods * SERVICE_FEE_RATE);
+
+  return {
+    shippingService,
+    weightKg,
+    taxRate,
+    subtotal,
+    discount,
+    shipping,
+    tax,
+    serviceFee,
+    total: goods + shipping + tax + serviceFee
+  };
+}
+
+// Total kilos, to the gram
+function cartWeight(lineItems) {
+  const weightKg = lineItems.reduce((sum, item) =>
+    sum + (item.weight === null ? shippingCalculator.defaultItemWeightKg : item.weight) * item.quantity, 0);
+  return Math.round(weightKg * 1000) / 1000;
+}
+
+// Price a cart (already checked against CART_ITEM) against the Products table.
+// Client-sent prices are ignored. Returns { errors } with { field, message }
+// entries for carts that cannot be sold, otherwise { quote } with amounts in
+// `currency` minor units. A `discountCode` is checked for `customerEmail` and
+// applied. With `reserveFor`, the cart's stock is reserved under that key.
+async function priceCart(items, shippingCountry, {
+  currency = BASE_CURRENCY,
+  serviceLevel = DEFAULT_SERVICE_LEVEL,
+  discountCode,
+  customerEmail,
+  reserveFor
+} = {}) {
+  const errors = [];
+  const country = shippingCountry.toUpperCase();
+  const exchangeRate = EXCHANGE_RATES[currency];
+
+  const productIds = [...new Set(items.map(item => item.productId))];
+  const records = await fetchProductsByIds(productIds);
+  const recordsById = new Map(records.map(record => [record.id, record]));
+  const productsById = new Map(records.map(record => [record.id, formatProduct(record)]));
+
+  const lineItems = [];
+  items.forEach((item, index) => {
+    const product = productsById.get(item.productId);
+    if (!product) {
+      errors.push({ field: `items[${index}].productId`, message: `product ${item.productId} not found` });
+      return;
+    }
+
+    const size = item.size || '';
+    if (product.sizes.length > 0 && !product.sizes.includes(size)) {
+      errors.push({ field: `items[${index}].size`, message: `must be one of ${product.sizes.join(', ')} for ${product.name}` });
+      return;
+    }
+
+    const unitAmount = convertToMinorUnits(product.price, currency, exchangeRate);
+    lineItems.push({
+      productId: product.id,
+      name: product.name,
+      size: product.sizes.length > 0 ? size : '',
+      quantity: item.quantity,
+      category: product.category,
+      weight: product.weight,
+      unitAmount,
+      lineTotal: unitAmount * item.quantity
+    });
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  let promotion = null;
+  let adjustment = {};
+  if (discountCode) {
+    const applied = await applyPromotion(discountCode, { lineItems, currency, exchangeRate, customerEmail });
+    if (applied.problems.length > 0) {
+      return { errors: applied.problems.map(problem => ({ field: 'discountCode', message: problem })) };
+    }
+    promotion = applied.promotion;
+    adjustment = { discount: applied.discount, freeShipping: applied.freeShipping };
+  }
+
+  const weightKg = cartWeight(lineItems);
+  const charges = calculateCharges(lineItems, { country, serviceLevel, weightKg, currency, exchangeRate, ...adjustment });
+  if (!charges) {
+    return { errors: [{ field: 'serviceLevel', message: `${serviceLevel} shipping is not available to ${country}` }] };
+  }
+
+  // Checked and reserved without awaiting in between, so concurrent
+  // checkouts cannot both claim the last unit
+  const stockErrors = checkStock(lineItems, recordsById);
+  if (stockErrors.length > 0) {
+    return { errors: stockErrors };
+  }
+  if (reserveFor) {
+    reserveStock(reserveFor, lineItems);
+  }
+
+  return {
+    quote: {
+      currency,
+      exchangeRate,
+      shippingCountry: country,
+      discountCode: promotion ? promotion.code : null,
+      freeShipping: Boolean(adjustment.freeShipping),
+      lineItems,
+      ...charges
+    }
+  };
+}
+
+// Present a shipping option with its price in `currency` major units
+function formatShippingService(service, currency, exchangeRate) {
+  return {
+    serviceLevel: service.serviceLevel,
+    name: service.name,
+    zone: service.zone,
+    price: fromMinorUnits(convertToMinorUnits(service.amount, currency, exchangeRate), currency),
+    freeShipping: service.freeShipping,
+    freeShippingOver: service.freeShippingOver === null
+      ? null
+      : fromMinorUnits(convertToMinorUnits(service.freeShippingOver, currency, exchangeRate), currency),
+    billableWeightKg: service.billableWeightKg,
+    estimatedDays: service.estimatedDays
+  };
+}
+
+// Present a quote to clients in major units (dollars, rupees, ...)
+function formatQuote(quote) {
+  const toAmount = (units) => fromMinorUnits(units, quote.currency);
+
+  return {
+    currency: quote.currency,
+    exchangeRate: quote.exchangeRate,
+    shippingCountry: quote.shippingCountry,
+    shippingService: formatShippingService(quote.shippingService, quote.currency, quote.exchangeRate),
+    weightKg: quote.weightKg,
+    taxRate: quote.taxRate,
+    items: quote.lineItems.map(item => ({
+      productId: item.productId,
+      name: item.name,
+      size: item.size || null,
+      quantity: item.quantity,
+      unitPrice: toAmount(item.unitAmount),
+      lineTotal: toAmount(item.lineTotal)
+    })),
+    subtotal: toAmount(quote.subtotal),
+    discountCode: quote.discountCode,
+    discount: toAmount(quote.discount),
+    shipping: toAmount(quote.shipping),
+    tax: toAmount(quote.tax),
+    serviceFee: toAmount(quote.serviceFee),
+    total: toAmount(quote.total)
+  };
+}
+
+// Stripe metadata values are capped at 500 characters, so the compact
+// [productId, size, quantity, unitAmount] list is split across numbered keys
+const METADATA_CHUNK_SIZE = 500;
+
+function encodeLineItemsMetadata(lineItems) {
+  const json = JSON.stringify(lineItems.map(item => [item.productId, item.size, item.quantity, item.unitAmount]));
+  const metadata = {};
+  for (let offset = 0, chunk = 0; offset < json.length; offset += METADATA_CHUNK_SIZE, chunk++) {
+    metadata[`line_items_${chunk}`] = json.slice(offset, offset + METADATA_CHUNK_SIZE);
+  }
+  return metadata;
+}
+
+function decodeLineItemsMetadata(metadata = {}) {
+  let json = '';
+  for (let chunk = 0; metadata[`line_items_${chunk}`]; chunk++) {
+    json += metadata[`line_items_${chunk}`];
+  }
+  if (!json) return [];
+
+  return JSON.parse(json).map(([productId, size, quantity, unitAmount]) => ({
+    productId,
+    size,
+    quantity,
+    unitAmount,
+    lineTotal: unitAmount * quantity
+  }));
+}
+
+const CART_ITEM = object({
+  productId: recordId({ required: true }),
+  size: string({ max: 50 }),
+  quantity: number({ required: true, integer: true, min: 1, max: MAX_ITEM_QUANTITY })
+});
+
+const CUSTOMER_FIELDS = {
+  firstName: string({ max: 100 }),
+  lastName: string({ max: 100 }),
+  email: email(),
+  phone: phone()
+};
+
+const SHIPPING_FIELDS = {
+  address: string({ max: 200 }),
+  city: string({ max: 100 }),
+  state: string({ max: 100 }),
+  zip: string({ max: 20 }),
+  country: countryCode(),
+  notes: string({ max: 500 })
+};
+
+const SERVICE_LEVEL_PARAM = string({ oneOf: shippingCalculator.serviceLevels });
+const DISCOUNT_CODE_PARAM = string({ max: 32 });
+
+const SHIPPING_QUOTE_SCHEMA = {
+  body: {
+    items: array(CART_ITEM, { required: true, min: 1, max: MAX_CART_LINES }),
+    shippingCountry: countryCode({ required: true }),
+    serviceLevel: SERVICE_LEVEL_PARAM,
+    currency: CURRENCY_PARAM
+  }
+};
+
+// Price a cart with shipping and tax for a destination, plus every shipping
+// option for it. Nothing is reserved; checkout prices the cart again.
+app.post('/api/shipping/quote', validateRequest(SHIPPING_QUOTE_SCHEMA), async (req, res) => {
+  try {
+    const { items, shippingCountry } = req.body;
+    const currency = (req.body.currency || BASE_CURRENCY).toLowerCase();
+    const serviceLevel = req.body.serviceLevel || DEFAULT_SERVICE_LEVEL;
+
+    const { errors, quote } = await priceCart(items, shippingCountry, { currency, serviceLevel });
+    if (errors) {
+      return sendValidationError(res, errors, 'Invalid cart');
+    }
+
+    const shippingOptions = shippingCalculator.options({
+      country: quote.shippingCountry,
+      weightKg: quote.weightKg,
+      subtotal: fromMinorUnits(quote.subtotal, currency) / quote.exchangeRate
+    });
+
+    res.json({
+      success: true,
+      quote: formatQuote(quote),
+      shippingOptions: shippingOptions.map(option => formatShippingService(option, currency, quote.exchangeRate))
+    });
+
+  } catch (error) {
+    console.error('❌ Error quoting shipping:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to calculate quote: ' + error.message
+    });
+  }
+});
+
+const APPLY_PROMOTION_SCHEMA = {
+  body: {
+    discountCode: string({ required: true, max: 32 }),
+    items: array(CART_ITEM, { required: true, min: 1, max: MAX_CART_LINES }),
+    shippingCountry: countryCode({ required: true }),
+    serviceLevel: SERVICE_LEVEL_PARAM,
+    currency: CURRENCY_PARAM,
+    email: email()
+  }
+};
+
+// Check a discount code against a cart and return the discounted totals.
+// Nothing is redeemed here; the code is checked again at checkout.
+app.post('/api/promotions/apply', validateRequest(APPLY_PROMOTION_SCHEMA), async (req, res) => {
+  try {
+    const { discountCode, items, shippingCountry, email: customerEmail } = req.body;
+    const currency = (req.body.currency || BASE_CURRENCY).toLowerCase();
+    const serviceLevel = req.body.serviceLevel || DEFAULT_SERVICE_LEVEL;
+
+    console.log('🏷️ Applying discount code', normalizePromotionCode(discountCode));
+
+    const { errors, quote } = await priceCart(items, shippingCountry, { currency, serviceLevel, discountCode, customerEmail });
+    if (errors) {
+      return sendValidationError(res, errors, 'Invalid cart');
+    }
+
+    res.json({
+      success: true,
+      quote: formatQuote(quote)
+    });
+
+  } catch (error) {
+    console.error('❌ Error applying discount code:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to apply discount code: ' + error.message
+    });
+  }
+});
+
+// Customer and shipping details are optional here; the country may come from either field
+const PAYMENT_INTENT_SCHEMA = {
+  body: {
+    items: array(CART_ITEM, { required: true, min: 1, max: MAX_CART_LINES }),
+    shippingCountry: countryCode(),
+    serviceLevel: SERVICE_LEVEL_PARAM,
+    discountCode: DISCOUNT_CODE_PARAM,
+    customer: object(CUSTOMER_FIELDS),
+    shipping: object(SHIPPING_FIELDS),
+    currency: CURRENCY_PARAM,
+    notes: string({ max: 500 })
+  }
+};
+
+// Create Stripe payment intent from a server-priced cart. An Idempotency-Key is
+// also sent to Stripe, so a retry cannot create a second payment intent.
+app.post('/api/create-payment-intent', validateRequest(PAYMENT_INTENT_SCHEMA), idempotent('create-payment-intent'), async (req, res) => {
+  try {
+    const { items, customer, shipping, notes } = req.body;
+    const shippingCountry = req.body.shippingCountry || (shipping && shipping.country);
+    const currency = (req.body.currency || BASE_CURRENCY).toLowerCase();
+    const serviceLevel = req.body.serviceLevel || DEFAULT_SERVICE_LEVEL;
+
+    console.log('💳 Creating payment intent for cart with', items.length, 'items in', currency.toUpperCase());
+
+    if (!shippingCountry) {
+      return sendValidationError(res, [{ field: 'shippingCountry', message: 'is required unless shipping.country is given' }]);
+    }
+
+    // Validate environment variables
+    if (!process.env.STRIPE_SECRET_KEY) {
+      console.error('❌ Stripe secret key not configured');
+      return res.status(500).json({
+        success: false,
+        error: 'Payment system not configured'
+      });
+    }
+
+    if (!storage.isConfigured()) {
+      console.error('❌ Airtable configuration missing');
+      return res.status(500).json({
+        success: false,
+        error: 'Payment system not configured - Airtable credentials missing'
+      });
+    }
+
+    // The order ID is fixed here so the webhook and POST /api/orders agree on it.
+    // It also keys the stock reservation until the order is saved. With an
+    // Idempotency-Key it is kept with the key, so a retry of a failed request
+    // keeps its order ID and replaces its own earlier reservation.
+    let orderId = req.idempotencyData && req.idempotencyData.orderId;
+    if (orderId) {
+      releaseReservation(orderId);
+    } else {
+      orderId = generateOrderId();
+      if (req.keepIdempotencyData) {
+        await req.keepIdempotencyData({ orderId });
+      }
+    }
+
+    const { errors, quote } = await priceCart(items, shippingCountry, {
+      currency,
+      serviceLevel,
+      discountCode: req.body.discountCode,
+      customerEmail: customer && customer.email,
+      reserveFor: orderId
+    });
+    if (errors) {
+      return sendValidationError(res, errors, 'Invalid cart');
+    }
+
+    const paymentIntentParams = {
+      amount: quote.total,
+      currency: quote.currency,
+      metadata: {
+        ...encodeLineItemsMetadata(quote.lineItems),
+        order_id: orderId,
+        shipping_country: quote.shippingCountry,
+        service_level: quote.shippingService.serviceLevel,
+        weight_kg: quote.weightKg,
+        exchange_rate: quote.exchangeRate,
+        subtotal: quote.subtotal,
+        discount_code: quote.discountCode || '',
+        discount: quote.discount,
+        free_shipping: String(quote.freeShipping),
+        shipping: quote.shipping,
+        tax: quote.tax,
+        service_fee: quote.serviceFee,
+        delivery_notes: ((shipping && shipping.notes) || '').slice(0, METADATA_CHUNK_SIZE),
+        order_notes: (notes || '').slice(0, METADATA_CHUNK_SIZE)
+      },
+      automatic_payment_methods: {
+        enabled: true,
+      },
+    };
+
+    // Customer and address details let the webhook create the order on its own
+    if (customer && customer.email) {
+      paymentIntentParams.receipt_email = customer.email;
+    }
+    if (customer && shipping && shipping.address) {
+      paymentIntentParams.shipping = {
+        name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || customer.email || 'Customer',
+        phone: customer.phone || undefined,
+        address: {
+          line1: shipping.address,
+          city: shipping.city,
+          state: shipping.state,
+          postal_code: shipping.zip,
+          country: quote.shippingCountry
+        }
+      };
+    }
+
+    let paymentIntent;
+    try {
+      // No Stripe idempotency key: a retry may be priced differently, and Stripe
+      // refuses a key reused with other parameters
+      paymentIntent = await stripe.paymentIntents.create(paymentIntentParams);
+    } catch (error) {
+      releaseReservation(orderId);
+      throw error;
+    }
+
+    console.log('✅ Payment intent created:', paymentIntent.id, 'for', quote.total, quote.currency);
+
+    res.json({
+      success: true,
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      quote: formatQuote(quote)
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating payment intent:', error);
+    res.status(errorStatus(error)).json({ 
+      success: false, 
+      error: 'Failed to create payment intent: ' + error.message
+    });
+  }
+});
+
+// ========== SALES RECORD HELPERS ==========
+
+// Work an order's charges out again from the cart priced into its payment
+// intent, so the saved amounts are the server's rather than the browser's.
+// Null for payment intents from before shipping was quoted, or when the
+// service level no longer ships to the destination.
+function chargesForPaymentIntent(paymentIntent, lineItems) {
+  const metadata = paymentIntent.metadata || {};
+  if (lineItems.length === 0 || !metadata.service_level) return null;
+
+  return calculateCharges(lineItems, {
+    country: metadata.shipping_country,
+    serviceLevel: metadata.service_level,
+    weightKg: Number(metadata.weight_kg || 0),
+    currency: paymentIntent.currency,
+    exchangeRate: Number(metadata.exchange_rate || 1),
+    discount: Number(metadata.discount || 0),
+    freeShipping: metadata.free_shipping === 'true'
+  });
+}
+
+// Check the discount code on a payment intent again when the order is placed.
+// The customer has already paid the discounted price, so problems are returned
+// for staff to review rather than rejecting the order.
+async function recheckPromotion(paymentIntent, lineItems, customerEmail) {
+  const metadata = paymentIntent.metadata || {};
+  const code = metadata.discount_code;
+  if (!code || lineItems.length === 0) return [];
+
+  const productRecords = await fetchProductsByIds([...new Set(lineItems.map(item => item.productId))]);
+  const categories = new Map(productRecords.map(record => [record.id, record.fields.Category || '']));
+  const currency = paymentIntent.currency;
+
+  const applied = await applyPromotion(code, {
+    lineItems: lineItems.map(item => ({ ...item, category: categories.get(item.productId) || '' })),
+    currency,
+    exchangeRate: Number(metadata.exchange_rate || 1),
+    customerEmail,
+    excludePaymentId: paymentIntent.id
+  });
+
+  if (applied.problems.length > 0) {
+    return applied.problems.map(problem => `${code} ${problem}`);
+  }
+  const discounted = Number(metadata.discount || 0);
+  if (applied.discount !== discounted) {
+    const toMoney = (units) => formatMoney(fromMinorUnits(units, currency), currency);
+    return [`${code} now gives ${toMoney(applied.discount)} off, not ${toMoney(discounted)}`];
+  }
+  return [];
+}
+
+function generateOrderId() {
+  return `NG${Date.now()}${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
+}
+
+function formatOrderItemsText(items, currency) {
+  return items.map(item => 
+    `${item.quantity}x ${item.name}${item.size ? ` (Size: ${item.size})` : ''} - ${formatMoney(item.price, currency)}`
+  ).join('\n');
+}
+
+// Structured order lines from a priced cart ([{ productId, size, quantity, unitAmount }]
+// in `currency` minor units), with each product's current name kept as a snapshot
+async function describeLineItems(lineItems, currency) {
+  if (lineItems.length === 0) return [];
+
+  const productRecords = await fetchProductsByIds([...new Set(lineItems.map(item => item.productId))]);
+  const productNames = new Map(productRecords.map(record => [record.id, record.fields.Name || 'Untitled']));
+
+  return lineItems.map(item => ({
+    productId: item.productId,
+    name: productNames.get(item.productId) || item.productId,
+    size: item.size || '',
+    unitPrice: fromMinorUnits(item.unitAmount, currency),
+    quantity: item.quantity,
+    lineTotal: fromMinorUnits(item.unitAmount * item.quantity, currency)
+  }));
+}
+
+// Text summary kept in 'Order Items' for people reading the Sales table
+function formatOrderLinesText(orderLines, currency) {
+  return formatOrderItemsText(orderLines.map(line => ({
+    quantity: line.quantity,
+    name: line.name,
+    size: line.size,
+    price: line.lineTotal
+  })), currency);
+}
+
+function formatLineItem(record) {
+  const fields = record.fields;
+  return {
+    productId: (fields['Product'] || [])[0] || null,
+    name: fields['Product Name'] || '',
+    size: fields['Size'] || '',
+    unitPrice: Number(fields['Unit Price'] || 0),
+    quantity: Number(fields['Quantity'] || 0),
+    lineTotal: Number(fields['Line Total'] || 0)
+  };
+}
+
+// Line items for the given Sales records, as a Map of record ID to array.
+// Orders from before line items were stored map to an empty array.
+async function fetchLineItemsByOrder(recordIds) {
+  const grouped = new Map(recordIds.map(recordId => [recordId, []]));
+  if (recordIds.length === 0) return grouped;
+
+  const records = await storage.lineItems.listForOrders(recordIds);
+  records.forEach(record => {
+    const lines = grouped.get(record.fields['Sales Record ID']);
+    if (lines) lines.push(formatLineItem(record));
+  });
+  return grouped;
+}
+
+// Line items are written after their Sales record. A failure is logged rather
+// than failing the order; 'Order Items' still shows what was bought.
+async function saveLineItems(record, orderLines) {
+  try {
+    await storage.lineItems.add(orderLines.map((line, index) => ({
+      'Sales Record ID': record.id,
+      'Order ID': record.fields['Order ID'] || '',
+      'Line': index + 1,
+      'Product': [line.productId],
+      'Product Name': line.name,
+      'Size': line.size,
+      'Unit Price': line.unitPrice,
+      'Quantity': line.quantity,
+      'Line Total': line.lineTotal
+    })));
+  } catch (error) {
+    console.error('❌ Failed to save line items for order', record.fields['Order ID'], error.message);
+  }
+}
+
+function findSaleByPaymentId(paymentIntentId) {
+  return storage.orders.findByPaymentId(paymentIntentId);
+}
+
+async function createSaleRecord(fields, orderLines = []) {
+  const record = await storage.orders.create(fields);
+  if (orderLines.length > 0) {
+    await saveLineItems(record, orderLines);
+  }
+  invalidateCache('orders');
+  publishOrderEvents('order.created', [{ record }]);
+  return record;
+}
+
+async function updateSaleRecord(recordId, fields) {
+  const record = await storage.orders.update(recordId, fields);
+  invalidateCache('orders');
+  return record;
+}
+
+// Order creation is serialised per PaymentIntent so the browser (POST /api/orders)
+// and the Stripe webhook can never both insert a Sales record for one payment.
+// Refunds and the refund webhooks take the same lock. Tasks must not nest it.
+const paymentLocks = new Map();
+
+function withPaymentLock(paymentIntentId, task) {
+  const previous = paymentLocks.get(paymentIntentId) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+
+  paymentLocks.set(paymentIntentId, settled);
+  settled.then(() => {
+    if (paymentLocks.get(paymentIntentId) === settled) {
+      paymentLocks.delete(paymentIntentId);
+    }
+  });
+
+  return run;
+}
+
+const PAYMENT_REVIEW_PREFIX = 'Payment verification failed';
+const DISCOUNT_REVIEW_PREFIX = 'Discount code review';
+// Not released by Stripe events, since the payment itself is fine
+const CUSTOMER_REVIEW_PREFIX = 'Customer details review';
+
+// Compare a PaymentIntent against the order it is meant to pay for.
+// Returns a list of problems; an empty list means the payment checks out.
+function verifyPaymentForOrder(paymentIntent, total, currency) {
+  const problems = [];
+  const charged = paymentIntent.amount_received || paymentIntent.amount;
+  const expectedCurrency = String(currency || BASE_CURRENCY).toLowerCase();
+
+  if (paymentIntent.status !== 'succeeded') {
+    problems.push(`payment status is ${paymentIntent.status}`);
+  }
+  if (paymentIntent.currency !== expectedCurrency) {
+    problems.push(`charged in ${paymentIntent.currency.toUpperCase()} but order is in ${expectedCurrency.toUpperCase()}`);
+  } else if (charged !== toMinorUnits(total, expectedCurrency)) {
+    problems.push(`charged ${formatMoney(fromMinorUnits(charged, expectedCurrency), expectedCurrency)} but order total is ${formatMoney(total, expectedCurrency)}`);
+  }
+
+  return problems;
+}
+
+// ========== NOTIFICATIONS ==========
+
+// What the email templates know about an order
+async function buildOrderView(record, extra = {}) {
+  const fields = record.fields;
+  const customerName = fields['Customer Name'] && fields['Customer Name'] !== 'Unknown' ? fields['Customer Name'] : '';
+
+  return {
+    recordId: record.id,
+    orderId: fields['Order ID'],
+    customerName,
+    customerFirstName: customerName.split(' ')[0],
+    customerEmail: fields['Customer Email'] || '',
+    currency: orderCurrency(record),
+    total: fields['Total'],
+    lineItems: (await fetchLineItemsByOrder([record.id])).get(record.id),
+    orderItems: fields['Order Items'] || '',
+    trackingNumber: fields['Tracking Number'] || '',
+    trackingUrl: trackingUrlFor(fields['Tracking Number'], fields['Carrier']),
+    orderLink: orderLinkFor(record),
+    statusNotes: fields['Status Notes'] || '',
+    ...extra
+  };
+}
+
+// Emails go out in the background so a slow mail server never delays the
+// response; the notifier retries and writes the outcome to the send log
+function sendOrderEmail(template, record, { once, ...extra } = {}) {
+  buildOrderView(record, extra)
+    .then(order => notifier.notifyOrder(template, order, { once }))
+    .catch(error => console.error(`❌ Could not prepare ${template} email for order`, record.fields['Order ID'], error.message));
+}
+
+// Email the customer about the status `record` is now in, if that status has a template
+function notifyStatusChange(record, extra) {
+  const template = STATUS_TEMPLATES[record.fields['Order Status']];
+  if (template) {
+    sendOrderEmail(template, record, extra);
+  }
+}
+
+// Emails sent (or attempted) for an order
+app.get('/api/orders/:recordId/notifications', requireStaff(), validateRequest({ params: RECORD_ID_PARAMS }), async (req, res) => {
+  try {
+    const { recordId } = req.params;
+
+    const record = await fetchSaleRecord(recordId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const entries = await storage.notificationLog.listForOrder(recordId);
+
+    res.json({
+      success: true,
+      orderId: record.fields['Order ID'],
+      notifications: entries.map(entry => ({
+        template: entry.fields['Template'],
+        recipient: entry.fields['Recipient'],
+        subject: entry.fields['Subject'],
+        status: entry.fields['Status'],
+        attempts: entry.fields['Attempts'] || 0,
+        messageId: entry.fields['Message ID'] || null,
+        error: entry.fields['Error'] || null,
+        sentAt: entry.fields['Sent At']
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching notifications:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to fetch notifications: ' + error.message
+    });
+  }
+});
+
+// ========== ORDER MANAGEMENT ==========
+
+const CREATE_ORDER_SCHEMA = {
+  body: {
+    customer: object({
+      ...CUSTOMER_FIELDS,
+      firstName: string({ required: true, max: 100 }),
+      lastName: string({ required: true, max: 100 }),
+      email: email({ required: true })
+    }, { required: true }),
+    shipping: object({
+      ...SHIPPING_FIELDS,
+      address: string({ required: true, max: 200 }),
+      city: string({ required: true, max: 100 }),
+      zip: string({ required: true, max: 20 }),
+      country: countryCode({ required: true })
+    }, { required: true }),
+    order: object({
+      items: array(object({
+        name: string({ max: 200 }),
+        size: string({ max: 50 }),
+        quantity: number({ integer: true, min: 1, max: MAX_ITEM_QUANTITY }),
+        price: money()
+      }), { max: MAX_CART_LINES }),
+      subtotal: money(),
+      shipping: money(),
+      tax: money(),
+      serviceFee: money(),
+      total: money({ required: true }),
+      currency: currencyCode()
+    }, { required: true }),
+    payment: object({
+      id: string({ required: true, max: 255, pattern: /^pi_\w+$/, patternMessage: 'must be a Stripe payment intent ID' }),
+      method: string({ max: 50 })
+    }, { required: true }),
+    notes: string({ max: 500 })
+  }
+};
+
+function formatShippingAddress(shipping) {
+  return [shipping.address, shipping.city, [shipping.state, shipping.zip].filter(Boolean).join(' '), shipping.country]
+    .filter(Boolean)
+    .join(', ');
+}
+
+// An unknown or malformed payment ID is the caller's mistake (400). Connection,
+// rate limit and API errors are Stripe's and worth retrying, so they get a 5xx,
+// which an Idempotency-Key does not store.
+function paymentLookupStatus(error) {
+  if (error.type === 'StripeInvalidRequestError') return 400;
+  return error.type === 'StripeConnectionError' || error.type === 'StripeRateLimitError' ? 503 : 502;
+}
+
+// Complete order processing
+app.post('/api/orders', validateRequest(CREATE_ORDER_SCHEMA), idempotent('create-order'), async (req, res) => {
+  try {
+    const {
+      customer,
+      shipping,
+      order,
+      payment,
+      notes
+    } = req.body;
+
+    console.log('🛒 Processing complete order request');
+    console.log('👤 Customer:', customer.email);
+    console.log('📦 Order items count:', (order.items || []).length);
+    console.log('💳 Payment ID:', payment.id);
+
+    // Validate environment variables
+    if (!storage.isConfigured()) {
+      console.error('❌ Airtable configuration missing');
+      return res.status(500).json({
+        success: false,
+        error: 'Order system not configured - Airtable credentials missing'
+      });
+    }
+
+    // Check the payment with Stripe instead of trusting the browser
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.retrieve(payment.id);
+    } catch (error) {
+      console.error('❌ Could not retrieve payment intent:', payment.id, error.message);
+      const httpStatus = paymentLookupStatus(error);
+      return res.status(httpStatus).json({
+        success: false,
+        error: httpStatus === 400 ? 'Payment could not be verified' : 'Payment could not be verified right now. Please try again.'
+      });
+    }
+
+    // The cart priced into the payment intent is what stock is taken from, what
+    // the order's line items record and what its charges are calculated from
+    const lineItems = decodeLineItemsMetadata(paymentIntent.metadata);
+    const charges = chargesForPaymentIntent(paymentIntent, lineItems);
+    const currency = charges ? paymentIntent.currency : String(order.currency || BASE_CURRENCY).toLowerCase();
+    const toAmount = (units) => fromMinorUnits(units, currency);
+
+    // Older checkouts fall back to the amounts the browser sent
+    const amounts = charges
+      ? {
+        subtotal: toAmount(charges.subtotal),
+        discount: toAmount(charges.discount),
+        shipping: toAmount(charges.shipping),
+        tax: toAmount(charges.tax),
+        serviceFee: toAmount(charges.serviceFee),
+        total: toAmount(charges.total)
+      }
+      : {
+        subtotal: order.subtotal,
+        discount: 0,
+        shipping: order.shipping,
+        tax: order.tax,
+        serviceFee: order.serviceFee || 0,
+        total: order.total
+      };
+
+    if (charges && amounts.total !== order.total) {
+      console.warn('⚠️ Browser total', order.total, 'differs from calculated total', amounts.total, 'for', payment.id);
+    }
+
+    const paymentProblems = verifyPaymentForOrder(paymentIntent, amounts.total, currency);
+    const paymentVerified = paymentProblems.length === 0;
+    const discountProblems = charges ? await recheckPromotion(paymentIntent, lineItems, customer.email) : [];
+    // Anyone holding the payment ID can send customer details, so they must agree
+    // with the email Stripe sends the receipt to
+    const receiptEmail = (paymentIntent.receipt_email || '').toLowerCase();
+    const customerProblems = receiptEmail && receiptEmail !== customer.email.toLowerCase()
+      ? [`checkout email ${customer.email} differs from receipt email ${paymentIntent.receipt_email}`]
+      : [];
+    // Held orders take their stock and send a confirmation once trusted
+    const confirmable = paymentVerified && customerProblems.length === 0;
+
+    // Order Status Definitions
+    // Paid when Stripe confirms the charge, any discount code still holds and the
+    // customer details check out, otherwise held for staff review
+    const orderStatus = confirmable && discountProblems.length === 0 ? 'Paid' : 'On Hold';
+    if (paymentProblems.length > 0) {
+      console.warn('⚠️ Payment verification problems for', payment.id, paymentProblems);
+    }
+    if (discountProblems.length > 0) {
+      console.warn('⚠️ Discount code problems for', payment.id, discountProblems);
+    }
+    if (customerProblems.length > 0) {
+      console.warn('⚠️ Checkout email differs from receipt email for', payment.id);
+    }
+    const statusNotes = [
+      paymentProblems.length > 0 ? `${PAYMENT_REVIEW_PREFIX}: ${paymentProblems.join('; ')}` : '',
+      discountProblems.length > 0 ? `${DISCOUNT_REVIEW_PREFIX}: ${discountProblems.join('; ')}` : '',
+      customerProblems.length > 0 ? `${CUSTOMER_REVIEW_PREFIX}: ${customerProblems.join('; ')}` : ''
+    ].filter(Boolean).join('. ');
+
+    const saveOrder = async () => {
+      // The Stripe webhook may already have recorded this payment
+      const existing = await findSaleByPaymentId(payment.id);
+      if (existing) {
+        const existingEmail = (existing.fields['Customer Email'] || '').toLowerCase();
+
+        if (existingEmail && existingEmail !== customer.email.toLowerCase()) {
+          return { record: existing, conflict: true };
+        }
+
+        // The webhook had no customer details to go on, so fill them in now, unless
+        // they disagree with the email Stripe sends the receipt to
+        if (!existingEmail) {
+          if (customerProblems.length > 0) {
+            const currentStatus = existing.fields['Order Status'];
+            const held = currentStatus === 'On Hold' || canTransition(currentStatus, 'On Hold')
+              ? await transitionOrder(existing, 'On Hold', {
+                changedBy: 'checkout',
+                notes: `${CUSTOMER_REVIEW_PREFIX}: ${customerProblems.join('; ')}`
+              })
+              : existing;
+            return { record: held, duplicate: true };
+          }
+
+          const backfilled = await updateSaleRecord(existing.id, {
+            'Customer Name': `${customer.firstName} ${customer.lastName}`,
+            'Customer Email': customer.email,
+            'Customer Phone': customer.phone || 'Not provided',
+            'Shipping Address': formatShippingAddress(shipping),
+            'Shipping Country': shipping.country.toUpperCase()
+          });
+          sendOrderEmail('order_confirmation', backfilled, { once: true });
+          return { record: backfilled, duplicate: true };
+        }
+
+        return { record: existing, duplicate: true };
+      }
+
+      // Reuse the order ID fixed when the payment intent was created
+      const orderId = (paymentIntent.metadata && paymentIntent.metadata.order_id) || generateOrderId();
+      console.log('📝 Order ID:', orderId);
+
+      const orderLines = await describeLineItems(lineItems, paymentIntent.currency);
+
+      console.log('💾 Preparing to save to Airtable...');
+
+      // Save to Airtable
+      const record = await createSaleRecord({
+        'Order ID': orderId,
+        'Customer Name': `${customer.firstName} ${customer.lastName}`,
+        'Customer Email': customer.email,
+        'Customer Phone': customer.phone || 'Not provided',
+        'Shipping Address': formatShippingAddress(shipping),
+        'Shipping Country': shipping.country.toUpperCase(),
+        'Order Items': orderLines.length > 0
+          ? formatOrderLinesText(orderLines, paymentIntent.currency)
+          : formatOrderItemsText(order.items || [], currency),
+        'Subtotal': amounts.subtotal,
+        'Discount Code': (charges && paymentIntent.metadata.discount_code) || '',
+        'Discount': amounts.discount,
+        'Shipping': amounts.shipping,
+        'Tax': amounts.tax,
+        'Service Fee': amounts.serviceFee,
+        'Total': amounts.total,
+        'Currency': currency.toUpperCase(),
+        'Exchange Rate': Number((paymentIntent.metadata && paymentIntent.metadata.exchange_rate) || 1),
+        'Shipping Service': charges ? charges.shippingService.serviceLevel : '',
+        'Shipping Weight': charges ? charges.weightKg : null,
+        'Payment Method': payment.method || 'card',
+        'Stripe Payment ID': payment.id,
+        'Order Status': orderStatus,
+        'Order Date': new Date().toISOString(),
+        'Delivery Notes': shipping.notes || '',
+        'Order Notes': notes || '',
+        'Status Updated': new Date().toISOString(),
+        'Status Notes': statusNotes,
+        'Assigned To': '', // Initialize empty staff assignment
+        'Tracking Number': '', // Initialize empty tracking number
+        'Stock Committed': confirmable && lineItems.length > 0
+      }, orderLines);
+
+      // Until Stripe confirms the payment, the checkout's reservation holds the
+      // stock and no confirmation goes out; payment_intent.succeeded does both,
+      // or staff releasing an order held over its customer details
+      if (confirmable) {
+        await commitOrderStock(record, lineItems);
+      }
+
+      await logStatusHistory([{
+        recordId: record.id,
+        orderId,
+        toStatus: orderStatus,
+        changedBy: 'checkout',
+        notes: record.fields['Status Notes']
+      }]);
+
+      if (confirmable) {
+        sendOrderEmail('order_confirmation', record, { once: true });
+      }
+
+      return { record, duplicate: false };
+    };
+
+    const { record, duplicate, conflict } = await withPaymentLock(payment.id, saveOrder);
+
+    if (conflict) {
+      console.error('❌ Payment already used for order:', record.fields['Order ID']);
+      return res.status(409).json({
+        success: false,
+        error: 'This payment is already attached to another order'
+      });
+    }
+
+    const recordId = record.id;
+    const orderId = record.fields['Order ID'];
+
+    if (duplicate) {
+      console.log('♻️ Order already recorded for payment:', payment.id, '→', orderId);
+      return res.json({
+        success: true,
+        orderId,
+        recordId,
+        status: record.fields['Order Status'],
+        message: 'Order already recorded'
+      });
+    }
+
+    console.log('✅ Order saved successfully to Airtable');
+    console.log('📋 Record ID:', recordId);
+    console.log('🆔 Order ID:', orderId);
+    console.log('💰 Total Amount:', formatMoney(amounts.total, currency));
+    console.log('📊 Order Status:', orderStatus);
+
+    res.json({ 
+      success: true, 
+      orderId,
+      recordId,
+      status: orderStatus,
+      paymentVerified: paymentProblems.length === 0,
+      message: paymentProblems.length > 0
+        ? 'Order received and held for payment review'
+        : discountProblems.length > 0
+          ? 'Order received and held for discount code review'
+          : customerProblems.length > 0
+            ? 'Order received and held for customer details review'
+          : 'Order processed successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error processing order:', error);
+    res.status(errorStatus(error)).json({ 
+      success: false, 
+      error: 'Failed to process order: ' + error.message
+    });
+  }
+});
+
+// ========== ORDER STATUS WORKFLOW ==========
+
+const ORDER_STATUSES = [
+  'Paid',
+  'Processing',
+  'Shipped',
+  'Delivered',
+  'Cancelled',
+  'Refunded',
+  'Partially Refunded',
+  'On Hold',
+  'Awaiting Information'
+];
+
+// Allowed next statuses for each status. Paid → Processing → Shipped → Delivered
+// is the main flow, On Hold and Awaiting Information are side states that return
+// to it, and Cancelled/Refunded are terminal. Partially Refunded orders can
+// still be fulfilled.
+const STATUS_TRANSITIONS = {
+  'Paid': ['Processing', 'On Hold', 'Awaiting Information', 'Cancelled', 'Refunded', 'Partially Refunded'],
+  'Processing': ['Shipped', 'On Hold', 'Awaiting Information', 'Cancelled', 'Refunded', 'Partially Refunded'],
+  'Shipped': ['Delivered', 'On Hold', 'Refunded', 'Partially Refunded'],
+  'Delivered': ['Refunded', 'Partially Refunded'],
+  'Partially Refunded': ['Processing', 'Shipped', 'Delivered', 'On Hold', 'Cancelled', 'Refunded'],
+  'On Hold': ['Paid', 'Processing', 'Shipped', 'Awaiting Information', 'Cancelled', 'Refunded', 'Partially Refunded'],
+  'Awaiting Information': ['Paid', 'Processing', 'On Hold', 'Cancelled', 'Refunded', 'Partially Refunded'],
+  'Cancelled': [],
+  'Refunded': []
+};
+
+// Statuses that move money back to the customer through Stripe
+const REFUND_STATUSES = ['Refunded', 'Cancelled'];
+
+function canTransition(fromStatus, toStatus) {
+  return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+function fetchSaleRecord(recordId) {
+  return storage.orders.get(recordId);
+}
+
+// Write rows to the Status History table
+async function recordStatusHistory(entries) {
+  const changedAt = new Date().toISOString();
+  const records = entries.map(entry => ({
+    'Sales Record ID': entry.recordId,
+    'Order ID': entry.orderId || '',
+    'From Status': entry.fromStatus || '',
+    'To Status': entry.toStatus,
+    'Changed By': entry.changedBy,
+    'Changed At': changedAt,
+    'Notes': entry.notes || ''
+  }));
+
+  await storage.statusHistory.add(records);
+  invalidateCache('orders');
+}
+
+async function fetchStatusHistory(recordId) {
+  const records = await storage.statusHistory.listForOrder(recordId);
+
+  return records.map(record => ({
+    from: record.fields['From Status'] || null,
+    to: record.fields['To Status'],
+    changedBy: record.fields['Changed By'],
+    changedAt: record.fields['Changed At'],
+    notes: record.fields['Notes'] || ''
+  }));
+}
+
+async function fetchSalesByIds(recordIds) {
+  const validIds = recordIds.filter(recordId => RECORD_ID_PATTERN.test(recordId));
+  if (validIds.length === 0) return [];
+
+  return storage.orders.getMany(validIds);
+}
+
+// History is an audit trail; a failed write is logged rather than undoing the status change
+async function logStatusHistory(entries) {
+  try {
+    await recordStatusHistory(entries);
+  } catch (error) {
+    console.error('❌ Failed to record status history:', error.message, entries);
+  }
+}
+
+// Move an order to a new status and log the transition. Callers check
+// canTransition first; extra fields are saved in the same update.
+async function transitionOrder(record, toStatus, { changedBy, notes, fields = {} }) {
+  const fromStatus = record.fields['Order Status'];
+
+  const updated = await updateSaleRecord(record.id, {
+    ...fields,
+    'Order Status': toStatus,
+    'Status Updated': new Date().toISOString(),
+    ...(notes && { 'Status Notes': notes })
+  });
+
+  if (fromStatus !== toStatus) {
+    await logStatusHistory([{
+      recordId: record.id,
+      orderId: record.fields['Order ID'],
+      fromStatus,
+      toStatus,
+      changedBy,
+      notes
+    }]);
+    publishOrderEvents('order.status', [{ record: updated, previous: previousState(record), changedBy }]);
+  }
+
+  return updated;
+}
+
+// Status changes driven by Stripe only apply when the workflow allows them;
+// otherwise the event is kept as a note for staff
+async function applyPaymentEventStatus(record, toStatus, notes, fields = {}) {
+  if (record.fields['Order Status'] === toStatus || canTransition(record.fields['Order Status'], toStatus)) {
+    return transitionOrder(record, toStatus, { changedBy: 'stripe', notes, fields });
+  }
+
+  console.warn(`⚠️ Stripe event cannot move order ${record.fields['Order ID']} from ${record.fields['Order Status']} to ${toStatus}`);
+  return updateSaleRecord(record.id, {
+    ...fields,
+    'Status Notes': notes
+  });
+}
+
+// ========== REFUNDS ==========
+
+function hasShipped(record) {
+  return ['Shipped', 'Delivered'].includes(record.fields['Order Status']) || Boolean(record.fields['Tracking Number']);
+}
+
+function parseRefundedItems(record) {
+  try {
+    return JSON.parse(record.fields['Refunded Items'] || '[]');
+  } catch (error) {
+    return [];
+  }
+}
+
+function refundedQuantity(refundedItems, productId, size) {
+  return refundedItems
+    .filter(item => item.productId === productId && (item.size || '') === (size || ''))
+    .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// Refund an order through Stripe and record it on the Sales record.
+// Without `items` the whole remaining balance is refunded; with `items`
+// ([{ productId, size, quantity }]) only those lines, less their share of any
+// discount, plus their share of tax and service fee. `finalStatus` overrides the resulting status (used when
+// cancelling) and `idempotencyKey` is passed on to Stripe. Amounts in the result
+// are minor units of `currency`. Returns { error, httpStatus } for problems the caller reports.
+async function refundOrder(record, { items, reason, staffId, finalStatus, fields = {}, idempotencyKey }) {
+  const paymentId = record.fields['Stripe Payment ID'];
+  if (!paymentId || paymentId === 'Unknown') {
+    return { error: 'Order has no Stripe payment to refund', httpStatus: 409 };
+  }
+
+  if (parsePendingRefund(record)) {
+    return { error: 'A refund for this order is still pending in Stripe', httpStatus: 409 };
+  }
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentId);
+  const currency = paymentIntent.currency;
+  const charged = paymentIntent.amount_received || 0;
+  const alreadyRefunded = toMinorUnits(record.fields['Refund Amount'] || 0, currency);
+  const remaining = charged - alreadyRefunded;
+
+  if (remaining <= 0) {
+    return { error: 'Order has already been fully refunded', httpStatus: 409 };
+  }
+
+  const lineItems = decodeLineItemsMetadata(paymentIntent.metadata);
+  const refundedItems = parseRefundedItems(record);
+  let amount = remaining;
+  let itemsToRecord = [];
+
+  if (Array.isArray(items) && items.length > 0) {
+    if (lineItems.length === 0) {
+      return { error: 'Line items are unknown for this order, so only a full refund is possible', httpStatus: 400 };
+    }
+
+    const errors = [];
+    let itemsAmount = 0;
+
+    items.forEach((item, index) => {
+      const line = lineItems.find(candidate => candidate.productId === item.productId && (candidate.size || '') === (item.size || ''));
+      if (!line) {
+        errors.push({ field: `items[${index}]`, message: 'is not part of this order' });
+        return;
+      }
+
+      const refundable = line.quantity - refundedQuantity(refundedItems, line.productId, line.size) -
+        refundedQuantity(itemsToRecord, line.productId, line.size);
+      if (item.quantity > refundable) {
+        errors.push({ field: `items[${index}].quantity`, message: `must be at most ${refundable}` });
+        return;
+      }
+
+      itemsAmount += line.unitAmount * item.quantity;
+      itemsToRecord.push({ productId: line.productId, size: line.size || '', quantity: item.quantity });
+    });
+
+    if (errors.length > 0) {
+      return { error: 'Invalid refund items', details: errors, httpStatus: 400 };
+    }
+
+    // Discount, tax and service fee were spread over the subtotal, so the
+    // refund takes its share of each
+    const subtotal = Number(paymentIntent.metadata.subtotal || 0);
+    const share = (total) => (subtotal > 0 ? Math.round(total * itemsAmount / subtotal) : 0);
+    const discountShare = share(Number(paymentIntent.metadata.discount || 0));
+    const extrasShare = share(Number(paymentIntent.metadata.tax || 0) + Number(paymentIntent.metadata.service_fee || 0));
+    amount = Math.min(itemsAmount - discountShare + extrasShare, remaining);
+  } else {
+    // A full refund covers whatever has not been refunded yet
+    itemsToRecord = lineItems
+      .map(line => ({
+        productId: line.productId,
+        size: line.size || '',
+        quantity: line.quantity - refundedQuantity(refundedItems, line.productId, line.size)
+      }))
+      .filter(item => item.quantity > 0);
+  }
+
+  const fullyRefunded = alreadyRefunded + amount >= charged;
+  const targetStatus = finalStatus || (fullyRefunded ? 'Refunded' : 'Partially Refunded');
+  const currentStatus = record.fields['Order Status'];
+
+  if (targetStatus !== currentStatus && !canTransition(currentStatus, targetStatus)) {
+    return { error: `Cannot change order status from ${currentStatus} to ${targetStatus}`, httpStatus: 409 };
+  }
+
+  // Held until the refund is recorded, so Stripe's refund webhooks find the
+  // 'Pending Refund' marker instead of racing ahead of it
+  return withPaymentLock(paymentId, async () => {
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentId,
+      amount,
+      reason: 'requested_by_customer',
+      metadata: {
+        order_id: record.fields['Order ID'] || '',
+        record_id: record.id,
+        refunded_by: staffId,
+        reason: String(reason || '').slice(0, METADATA_CHUNK_SIZE)
+      }
+    }, idempotencyKey ? { idempotencyKey } : undefined);
+
+    console.log('💸 Stripe refund', refund.id, refund.status, 'for', amount, paymentIntent.currency);
+
+    if (refund.status === 'failed' || refund.status === 'canceled') {
+      return { error: `Stripe refund ${refund.status}`, httpStatus: 502 };
+    }
+
+    const refundRequest = {
+      refundId: refund.id,
+      amount,
+      currency,
+      items: itemsToRecord,
+      targetStatus,
+      reason: reason || '',
+      staffId
+    };
+
+    // Some payment methods settle refunds later. What the refund will do is kept
+    // in 'Pending Refund' and applied by the Stripe webhook once it settles.
+    if (refund.status !== 'succeeded') {
+      await updateSaleRecord(record.id, {
+        ...fields,
+        'Pending Refund': JSON.stringify(refundRequest),
+        'Status Notes': `Refund ${refund.id} of ${formatMoney(fromMinorUnits(amount, currency), currency)} pending in Stripe`
+      });
+      return { refund, amount, currency, status: currentStatus, pending: true };
+    }
+
+    const totalRefunded = await applyRefund(record, refundRequest, fields);
+    return { refund, amount, totalRefunded, currency, status: targetStatus, pending: false };
+  });
+}
+
+// Record a refund Stripe has confirmed: add its items to 'Refunded Items',
+// return them to stock and move the order to the status chosen when the refund
+// was requested. Returns the order's total refunded, in minor units.
+async function applyRefund(record, { amount, currency, items, targetStatus, reason, staffId }, fields = {}) {
+  const totalRefunded = toMinorUnits(record.fields['Refund Amount'] || 0, currency) + amount;
+
+  await restockOrderItems(record, items);
+
+  await transitionOrder(record, targetStatus, {
+    changedBy: staffId,
+    notes: `Refunded ${formatMoney(fromMinorUnits(amount, currency), currency)}${reason ? `: ${reason}` : ''}`,
+    fields: {
+      ...fields,
+      'Refund Reason': reason,
+      'Refunded Items': JSON.stringify([...parseRefundedItems(record), ...items]),
+      'Refund Amount': fromMinorUnits(totalRefunded, currency),
+      'Refunded At': new Date().toISOString(),
+      'Pending Refund': ''
+    }
+  });
+
+  return totalRefunded;
+}
+
+function parsePendingRefund(record) {
+  try {
+    return record.fields['Pending Refund'] ? JSON.parse(record.fields['Pending Refund']) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Finish the order's pending refund once Stripe reports `refund` settled.
+// A failed refund only clears the pending refund, so its items stay refundable.
+// Returns false when `refund` is not the pending one (including once it has
+// been settled) or is still pending. Callers hold the payment lock.
+async function settlePendingRefund(record, refund) {
+  const pending = parsePendingRefund(record);
+  if (!pending || pending.refundId !== refund.id) return false;
+
+  if (refund.status === 'succeeded') {
+    // The order may have moved on while the refund was pending
+    const currentStatus = record.fields['Order Status'];
+    const targetStatus = canTransition(currentStatus, pending.targetStatus) ? pending.targetStatus : currentStatus;
+    await applyRefund(record, { ...pending, targetStatus });
+    console.log('✅ Pending refund settled:', refund.id, 'for order', record.fields['Order ID']);
+    sendOrderEmail('refunded', record, { refundAmount: fromMinorUnits(pending.amount, pending.currency), refundReason: pending.reason });
+    return true;
+  }
+
+  if (refund.status === 'failed' || refund.status === 'canceled') {
+    console.warn(`⚠️ Pending refund ${refund.id} ${refund.status} for order`, record.fields['Order ID']);
+    await updateSaleRecord(record.id, {
+      'Pending Refund': '',
+      'Status Notes': `Refund ${refund.id} ${refund.status} in Stripe${refund.failure_reason ? ` (${refund.failure_reason})` : ''}`
+    });
+    return true;
+  }
+
+  return false;
+}
+
+// Handle a status change to Refunded or Cancelled. Refunded always refunds the
+// remaining balance; Cancelled is only allowed before shipping and refunds
+// whatever was paid. Orders without a Stripe payment are simply cancelled.
+async function refundOrCancel(record, status, { reason, staffId, fields = {}, idempotencyKey }) {
+  if (status === 'Cancelled') {
+    if (hasShipped(record)) {
+      return { error: 'Shipped orders cannot be cancelled; refund them instead', httpStatus: 409 };
+    }
+
+    // Nothing to refund, but the stock the order took still goes back
+    const paymentId = record.fields['Stripe Payment ID'];
+    if (!paymentId || paymentId === 'Unknown') {
+      const lineItems = (await fetchLineItemsByOrder([record.id])).get(record.id);
+      await restockOrderItems(record, lineItems
+        .filter(line => line.productId && line.quantity > 0)
+        .map(line => ({ productId: line.productId, size: line.size, quantity: line.quantity })));
+      await transitionOrder(record, 'Cancelled', { changedBy: staffId, notes: reason, fields });
+      return { status: 'Cancelled', amount: 0 };
+    }
+  }
+
+  return refundOrder(record, {
+    reason,
+    staffId,
+    fields,
+    idempotencyKey,
+    finalStatus: status === 'Cancelled' ? 'Cancelled' : undefined
+  });
+}
+
+const REFUND_SCHEMA = {
+  params: RECORD_ID_PARAMS,
+  body: {
+    items: array(CART_ITEM, { max: MAX_CART_LINES }),
+    reason: string({ max: 500 })
+  }
+};
+
+// Refund an order in full or by line item (Managers only)
+app.post('/api/orders/:recordId/refund', requireStaff('Manager'), validateRequest(REFUND_SCHEMA), async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const { items, reason } = req.body;
+
+    console.log('💸 Refund requested for record:', recordId, 'by', req.staff.id);
+
+    const record = await fetchSaleRecord(recordId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const result = await refundOrder(record, { items, reason, staffId: req.staff.id });
+    if (result.error) {
+      return res.status(result.httpStatus).json({
+        success: false,
+        error: result.error,
+        ...(result.details && { details: result.details })
+      });
+    }
+
+    if (!result.pending) {
+      sendOrderEmail('refunded', record, { refundAmount: fromMinorUnits(result.amount, result.currency), refundReason: reason });
+    }
+
+    res.status(result.pending ? 202 : 200).json({
+      success: true,
+      message: result.pending ? 'Refund submitted and pending in Stripe' : `Order status updated to ${result.status}`,
+      recordId,
+      orderId: record.fields['Order ID'],
+      refundId: result.refund.id,
+      amount: fromMinorUnits(result.amount, result.currency),
+      totalRefunded: result.pending ? undefined : fromMinorUnits(result.totalRefunded, result.currency),
+      currency: result.currency,
+      status: result.status,
+      pending: result.pending
+    });
+
+  } catch (error) {
+    console.error('❌ Error refunding order:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to refund order: ' + error.message
+    });
+  }
+});
+
+// ========== ORDER STATUS MANAGEMENT ==========
+
+const STATUS_UPDATE_SCHEMA = {
+  params: RECORD_ID_PARAMS,
+  body: {
+    status: string({ required: true, oneOf: ORDER_STATUSES }),
+    trackingNumber: string({ max: 100 }),
+    carrier: string({ oneOf: CARRIER_IDS }),
+    notes: string({ max: 1000 }),
+    assignedTo: string({ max: 100 })
+  }
+};
+
+// Update order status with staff assignment and tracking. `assignedTo` must be
+// the ID of an active staff member. A tracking number is checked against
+// `carrier` when one is given; otherwise the carrier is detected from its format,
+// and numbers no carrier recognises are kept as entered.
+app.patch('/api/orders/:recordId/status', requireStaff(), validateRequest(STATUS_UPDATE_SCHEMA), async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const { status, trackingNumber, carrier: requestedCarrier, notes, assignedTo } = req.body;
+
+    console.log('🔄 Updating order status for record:', recordId, 'by', req.staff.id);
+    console.log('📊 New status:', status);
+    console.log('👤 Assigned to:', assignedTo);
+    console.log('📦 Tracking:', trackingNumber);
+    console.log('📝 Notes:', notes);
+
+    if (status === 'Partially Refunded') {
+      return sendValidationError(res, [{
+        field: 'status',
+        message: 'cannot be Partially Refunded; use POST /api/orders/:recordId/refund to refund individual items'
+      }]);
+    }
+
+    // Role checks
+    const permissions = ROLE_PERMISSIONS[req.staff.role];
+    if (!permissions || (permissions.statuses && !permissions.statuses.includes(status))) {
+      return res.status(403).json({
+        success: false,
+        error: `${req.staff.role} staff cannot set status to ${status}`
+      });
+    }
+
+    if (trackingNumber && !permissions.canSetTracking) {
+      return res.status(403).json({
+        success: false,
+        error: `${req.staff.role} staff cannot set tracking numbers`
+      });
+    }
+
+    if (assignedTo && !permissions.canAssign) {
+      return res.status(403).json({
+        success: false,
+        error: `${req.staff.role} staff cannot assign orders`
+      });
+    }
+
+    if (requestedCarrier && !trackingNumber) {
+      return sendValidationError(res, [{ field: 'carrier', message: 'can only be set with a trackingNumber' }]);
+    }
+
+    if (requestedCarrier && !carriers.isValid(requestedCarrier, trackingNumber)) {
+      const { name, example } = carriers.get(requestedCarrier);
+      return sendValidationError(res, [{ field: 'trackingNumber', message: `is not a valid ${name} tracking number (for example ${example})` }]);
+    }
+    const carrier = trackingNumber ? requestedCarrier || carriers.detect(trackingNumber) : null;
+
+    if (assignedTo && !(await findActiveStaff(assignedTo))) {
+      return sendValidationError(res, [{ field: 'assignedTo', message: 'must be the ID of an active staff member' }]);
+    }
+
+    const record = await fetchSaleRecord(recordId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    // Keeping the same status is allowed so tracking, assignment and notes can be updated
+    const currentStatus = record.fields['Order Status'];
+    if (status !== currentStatus && !canTransition(currentStatus, status)) {
+      console.warn(`🚫 Illegal status transition ${currentStatus} → ${status} for`, recordId);
+      return res.status(409).json({
+        success: false,
+        error: `Cannot change order status from ${currentStatus} to ${status}`,
+        currentStatus,
+        allowedStatuses: STATUS_TRANSITIONS[currentStatus] || []
+      });
+    }
+
+    const updateFields = {};
+
+    // Add tracking number if provided; a new number starts without carrier status.
+    // Numbers are stored normalized so carrier webhooks can find the order later.
+    if (trackingNumber) {
+      updateFields['Tracking Number'] = normalizeTrackingNumber(trackingNumber);
+      updateFields['Carrier'] = carrier || '';
+      if (updateFields['Tracking Number'] !== record.fields['Tracking Number']) {
+        updateFields['Carrier Status'] = '';
+        updateFields['Carrier Status At'] = null;
+      }
+    }
+
+    // Add staff assignment if provided
+    if (assignedTo) {
+      updateFields['Assigned To'] = assignedTo;
+      updateFields['Assigned At'] = new Date().toISOString();
+    }
+
+    console.log('📋 Update fields:', updateFields);
+
+    // Refunded and Cancelled return the money through Stripe before the status changes
+    if (REFUND_STATUSES.includes(status) && status !== currentStatus) {
+      const result = await refundOrCancel(record, status, { reason: notes, staffId: req.staff.id, fields: updateFields });
+      if (result.error) {
+        return res.status(result.httpStatus).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      if (!result.pending && result.amount > 0) {
+        sendOrderEmail('refunded', record, { refundAmount: fromMinorUnits(result.amount, result.currency), refundReason: notes });
+      }
+
+      return res.status(result.pending ? 202 : 200).json({
+        success: true,
+        message: result.pending ? 'Refund submitted and pending in Stripe' : `Order status updated to ${status}`,
+        recordId: recordId,
+        previousStatus: currentStatus,
+        status: result.status,
+        refundedAmount: result.amount ? fromMinorUnits(result.amount, result.currency) : 0,
+        pending: Boolean(result.pending),
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    const updated = await transitionOrder(record, status, {
+      changedBy: req.staff.id,
+      notes,
+      fields: updateFields
+    });
+
+    console.log('✅ Order status updated successfully');
+
+    // Orders held before their checkout was trusted have not taken their stock
+    // or sent a confirmation yet
+    if (['On Hold', 'Awaiting Information'].includes(currentStatus) && ['Paid', 'Processing', 'Shipped'].includes(status)) {
+      await releaseHeldOrder(updated);
+    }
+
+    if (status !== currentStatus) {
+      notifyStatusChange(updated);
+    }
+    if (assignedTo && assignedTo !== record.fields['Assigned To']) {
+      publishOrderEvents('order.assigned', [{ record: updated, previous: previousState(record), changedBy: req.staff.id }]);
+    }
+
+    res.json({
+      success: true,
+      message: `Order status updated to ${status}`,
+      recordId: recordId,
+      previousStatus: currentStatus,
+      status: status,
+      assignedTo: assignedTo,
+      trackingNumber: updated.fields['Tracking Number'] || null,
+      carrier: updated.fields['Carrier'] || null,
+      trackingUrl: trackingUrlFor(updated.fields['Tracking Number'], updated.fields['Carrier']),
+      updatedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating order status:', error);
+    res.status(errorStatus(error)).json({ 
+      success: false, 
+      error: 'Failed to update order status: ' + error.message
+    });
+  }
+});
+
+// Get order status (staff view; customers use /api/orders/track)
+app.get('/api/orders/:recordId/status', requireStaff(), validateRequest({ params: RECORD_ID_PARAMS }), async (req, res) => {
+  try {
+    const { recordId } = req.params;
+
+    console.log('📋 Fetching order status for record:', recordId);
+
+    const cached = readCache('orders', req);
+    if (cached) {
+      return sendCachedJson(req, res, cached, true);
+    }
+
+    const record = await fetchSaleRecord(recordId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const history = await fetchStatusHistory(recordId);
+    const lineItems = (await fetchLineItemsByOrder([recordId])).get(recordId);
+
+    sendCachedJson(req, res, writeCache('orders', req, {
+      success: true,
+      orderId: record.fields['Order ID'],
+      status: record.fields['Order Status'],
+      customerName: record.fields['Customer Name'],
+      total: record.fields['Total'],
+      currency: orderCurrency(record),
+      orderDate: record.fields['Order Date'],
+      statusUpdated: record.fields['Status Updated'],
+      trackingNumber: record.fields['Tracking Number'] || null,
+      carrier: record.fields['Carrier'] || null,
+      carrierStatus: record.fields['Carrier Status'] || null,
+      carrierStatusAt: record.fields['Carrier Status At'] || null,
+      assignedTo: record.fields['Assigned To'] || null,
+      lineItems,
+      orderItems: record.fields['Order Items'] || '',
+      history
+    }));
+
+  } catch (error) {
+    console.error('❌ Error fetching order status:', error);
+    res.status(errorStatus(error)).json({ 
+      success: false, 
+      error: 'Failed to fetch order status: ' + error.message
+    });
+  }
+});
+
+// ========== CUSTOMER ORDER TRACKING ==========
+
+const TRACKING_URL_TEMPLATE = process.env.TRACKING_URL_TEMPLATE || 'https://parcelsapp.com/en/tracking/{trackingNumber}';
+const ORDER_TRACKING_PAGE_URL = process.env.ORDER_TRACKING_PAGE_URL || 'https://nepalgoods.com/track-order';
+const ORDER_LINK_SECRET = process.env.ORDER_LINK_SECRET || process.env.AUTH_SECRET;
+const ORDER_LINK_TTL_MS = Number(process.env.ORDER_LINK_TTL_DAYS || 180) * 24 * 60 * 60 * 1000;
+
+// Failed lookups allowed per client IP before it has to wait, to slow down guessing
+const TRACKING_FAILURE_LIMIT = 10;
+const TRACKING_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const trackingFailures = new Map();
+
+// Drop counts whose window has passed, so the map only holds recent failures
+setInterval(() => {
+  const now = Date.now();
+  trackingFailures.forEach((entry, ip) => {
+    if (entry.resetAt <= now) trackingFailures.delete(ip);
+  });
+}, TRACKING_FAILURE_WINDOW_MS).unref();
+
+// The carrier's own tracking page when the carrier is known or can be told from
+// the number's format, otherwise the generic TRACKING_URL_TEMPLATE page
+function trackingUrlFor(trackingNumber, carrierId) {
+  if (!trackingNumber) return null;
+
+  const carrier = carriers.get(carrierId) ? carrierId : carriers.detect(trackingNumber);
+  return carrier
+    ? carriers.trackingUrl(carrier, trackingNumber)
+    : TRACKING_URL_TEMPLATE.replace('{trackingNumber}', encodeURIComponent(trackingNumber));
+}
+
+// Signed link to the storefront's tracking page, sent in customer emails.
+// Null when no signing secret is configured.
+function orderLinkFor(record) {
+  if (!ORDER_LINK_SECRET || !record.fields['Order ID']) return null;
+
+  const token = signClaims({
+    typ: 'order',
+    oid: record.fields['Order ID'],
+    exp: Date.now() + ORDER_LINK_TTL_MS
+  }, ORDER_LINK_SECRET);
+  return `${ORDER_TRACKING_PAGE_URL}?token=${token}`;
+}
+
+function isTrackingBlocked(req) {
+  const entry = trackingFailures.get(req.ip);
+  return Boolean(entry) && entry.resetAt > Date.now() && entry.count >= TRACKING_FAILURE_LIMIT;
+}
+
+function recordTrackingFailure(req) {
+  const entry = trackingFailures.get(req.ip);
+  if (!entry || entry.resetAt <= Date.now()) {
+    trackingFailures.set(req.ip, { count: 1, resetAt: Date.now() + TRACKING_FAILURE_WINDOW_MS });
+  } else {
+    entry.count += 1;
+  }
+}
+
+// The order for a link token, or for an order ID whose customer email matches
+async function findTrackedOrder({ orderId, email, token }) {
+  if (token) {
+    const claims = readSignedClaims(token, ORDER_LINK_SECRET);
+    if (!claims || claims.typ !== 'order' || !claims.oid) return null;
+    return storage.orders.findByOrderId(claims.oid);
+  }
+
+  const record = await storage.orders.findByOrderId(String(orderId).trim().toUpperCase());
+  const orderEmail = record ? String(record.fields['Customer Email'] || '').toLowerCase() : '';
+  return orderEmail && orderEmail === String(email).trim().toLowerCase() ? record : null;
+}
+
+// What a customer may see about their order: no staff assignment, internal
+// notes or who changed what
+async function buildCustomerOrderView(record) {
+  const fields = record.fields;
+  const history = await fetchStatusHistory(record.id);
+  const lineItems = (await fetchLineItemsByOrder([record.id])).get(record.id);
+
+  // The timeline starts with the status the order was placed in; orders from
+  // before status history was kept only know their current status
+  const timeline = history.length > 0
+    ? history.map(entry => ({ status: entry.to, at: entry.changedAt }))
+    : [{ status: fields['Order Status'], at: fields['Status Updated'] || fields['Order Date'] }];
+  if (history.length > 0 && history[0].from) {
+    timeline.unshift({ status: history[0].from, at: fields['Order Date'] });
+  }
+
+  return {
+    orderId: fields['Order ID'],
+    status: fields['Order Status'],
+    orderDate: fields['Order Date'],
+    customerName: fields['Customer Name'],
+    shippingAddress: fields['Shipping Address'],
+    lineItems,
+    orderItems: fields['Order Items'] || '',
+    subtotal: fields['Subtotal'],
+    discountCode: fields['Discount Code'] || null,
+    discount: fields['Discount'] || 0,
+    shipping: fields['Shipping'],
+    tax: fields['Tax'],
+    serviceFee: fields['Service Fee'] || 0,
+    total: fields['Total'],
+    currency: orderCurrency(record),
+    refundAmount: fields['Refund Amount'] || 0,
+    trackingNumber: fields['Tracking Number'] || null,
+    trackingUrl: trackingUrlFor(fields['Tracking Number'], fields['Carrier']),
+    carrier: carrierName(fields['Carrier']),
+    carrierStatus: fields['Carrier Status'] || null,
+    timeline
+  };
+}
+
+async function sendTrackedOrder(req, res, credentials) {
+  try {
+    if (isTrackingBlocked(req)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts. Please try again later.'
+      });
+    }
+
+    const record = await findTrackedOrder(credentials);
+    if (!record) {
+      recordTrackingFailure(req);
+      // The same answer for unknown orders and wrong emails, so neither can be probed
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found. Check your order ID and email address.'
+      });
+    }
+
+    res.json({
+      success: true,
+      order: await buildCustomerOrderView(record)
+    });
+
+  } catch (error) {
+    console.error('❌ Error tracking order:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to look up order: ' + error.message
+    });
+  }
+}
+
+const ORDER_LINK_TOKEN = string({ max: 2000 });
+
+const TRACK_ORDER_SCHEMA = {
+  body: {
+    orderId: string({ max: 50 }),
+    email: email(),
+    token: ORDER_LINK_TOKEN
+  }
+};
+
+// Public order lookup with { orderId, email } or { token } from an email link
+app.post('/api/orders/track', validateRequest(TRACK_ORDER_SCHEMA), (req, res) => {
+  const { orderId, email, token } = req.body;
+
+  if (!token && (!orderId || !email)) {
+    return sendValidationError(res, [
+      !orderId && { field: 'orderId', message: 'is required unless a token is given' },
+      !email && { field: 'email', message: 'is required unless a token is given' }
+    ].filter(Boolean));
+  }
+
+  sendTrackedOrder(req, res, { orderId, email, token });
+});
+
+// Public order lookup for the link in customer emails
+app.get('/api/orders/track/:token', validateRequest({ params: { token: ORDER_LINK_TOKEN } }), (req, res) => {
+  sendTrackedOrder(req, res, { token: req.params.token });
+});
+
+// ========== ORDER WORKSTATION ENDPOINT ==========
+// Staff view of an order, shared by the workstation and the "my queue" list
+function formatWorkstationOrder(record, lineItems) {
+  return {
+    recordId: record.id,
+    orderId: record.fields['Order ID'],
+    customerName: record.fields['Customer Name'],
+    customerEmail: record.fields['Customer Email'],
+    customerPhone: record.fields['Customer Phone'],
+    shippingAddress: record.fields['Shipping Address'],
+    shippingService: record.fields['Shipping Service'] || '',
+    lineItems,
+    orderItems: record.fields['Order Items'], // Text summary; the only item detail on older orders
+    status: record.fields['Order Status'],
+    total: record.fields['Total'],
+    currency: orderCurrency(record),
+    discountCode: record.fields['Discount Code'] || '',
+    discount: record.fields['Discount'] || 0,
+    orderDate: record.fields['Order Date'],
+    statusUpdated: record.fields['Status Updated'],
+    trackingNumber: record.fields['Tracking Number'] || '',
+    carrier: record.fields['Carrier'] || '',
+    carrierStatus: record.fields['Carrier Status'] || '',
+    assignedTo: record.fields['Assigned To'] || '', // This field must exist in Airtable
+    assignedAt: record.fields['Assigned At'] || null,
+    statusNotes: record.fields['Status Notes'] || '',
+    deliveryNotes: record.fields['Delivery Notes'] || '',
+    orderNotes: record.fields['Order Notes'] || ''
+  };
+}
+
+const ORDER_SORTS = {
+  newest: [{ field: 'Order Date', direction: 'desc' }],
+  oldest: [{ field: 'Order Date', direction: 'asc' }]
+};
+const MAX_ORDER_PAGE_SIZE = 100;
+
+const WORKSTATION_SCHEMA = {
+  query: {
+    status: stringList(),
+    assignedTo: string({ max: 100 }),
+    from: dateTime(),
+    to: dateTime(),
+    country: countryCode(),
+    minTotal: money({ fromString: true }),
+    maxTotal: money({ fromString: true }),
+    q: string({ max: 200 }),
+    sort: string({ oneOf: Object.keys(ORDER_SORTS) }),
+    pageSize: number({ integer: true, min: 1, max: MAX_ORDER_PAGE_SIZE, fromString: true }),
+    cursor: string({ max: 500 })
+  }
+};
+
+// The staff member an `assignedTo` parameter names: "me", or a staff ID or name
+// in any case. Unknown values are matched against 'Assigned To' as given.
+async function resolveAssignee(assignedTo, currentStaff) {
+  if (assignedTo === 'me') {
+    return currentStaff;
+  }
+  const wanted = assignedTo.toLowerCase();
+  const roster = await storage.staff.list();
+  return roster.find(member => member.id.toLowerCase() === wanted || String(member.name || '').toLowerCase() === wanted) ||
+    { id: assignedTo, name: assignedTo };
+}
+
+// Build a workstation filter from validated query parameters; each storage
+// backend turns it into its own query. Returns { filter } or { errors }.
+async function buildOrderFilter(query, currentStaff) {
+  const filter = {};
+
+  const statuses = parseListParam(query.status);
+  const unknown = statuses.filter(status => !ORDER_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    return { errors: [{ field: 'status', message: `must be order statuses; unknown: ${unknown.join(', ')}` }] };
+  }
+  if (statuses.length > 0) {
+    filter.statuses = statuses;
+  }
+
+  // 'Assigned To' may hold a staff ID or, on older orders, their name
+  if (query.assignedTo === 'unassigned') {
+    filter.unassigned = true;
+  } else if (query.assignedTo) {
+    const member = await resolveAssignee(query.assignedTo, currentStaff);
+    filter.assignees = [member.id, member.name].filter(Boolean);
+  }
+
+  const { start, end } = dateRange(query.from, query.to);
+  if (Number.isFinite(start)) filter.start = new Date(start).toISOString();
+  if (Number.isFinite(end)) filter.end = new Date(end).toISOString();
+
+  if (query.country) {
+    filter.country = query.country.toUpperCase();
+  }
+
+  ['minTotal', 'maxTotal'].forEach(param => {
+    if (query[param] !== undefined && query[param] !== '') {
+      filter[param] = Number(query[param]);
+    }
+  });
+
+  if (query.q && query.q.trim()) {
+    filter.q = query.q.trim();
+  }
+
+  return { filter };
+}
+
+// Workstation order list
+// Query: status (comma-separated), assignedTo (me|<staff ID>|unassigned), from, to,
+// country, minTotal, maxTotal (USD), q, sort (newest|oldest), pageSize, cursor.
+// `counts` has the orders per status for every filter except `status`.
+app.get('/api/orders/workstation', requireStaff(), validateRequest(WORKSTATION_SCHEMA), async (req, res) => {
+  try {
+    console.log('🏪 Fetching orders for workstation...', req.query);
+
+    // "me" gives each staff member a different list for the same URL
+    const cacheable = req.query.assignedTo !== 'me';
+    const cached = cacheable && readCache('orders', req);
+    if (cached) {
+      return sendCachedJson(req, res, cached, true);
+    }
+
+    const { filter, errors } = await buildOrderFilter(req.query, req.staff);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const sort = ORDER_SORTS[req.query.sort || 'newest'];
+    const pageSize = req.query.pageSize ? Number(req.query.pageSize) : MAX_ORDER_PAGE_SIZE;
+
+    let page;
+    try {
+      page = await storage.orders.listPage({ filter, sort, pageSize, cursor: req.query.cursor });
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return sendValidationError(res, [{ field: 'cursor', message: 'is invalid or has expired' }]);
+      }
+      throw error;
+    }
+
+    const { statuses, ...otherFilters } = filter;
+    const counted = await storage.orders.countByStatus(otherFilters);
+    const counts = Object.fromEntries(ORDER_STATUSES.map(status => [status, counted[status] || 0]));
+    Object.keys(counted).filter(status => !(status in counts)).forEach(status => { counts[status] = counted[status]; });
+    const total = Object.entries(counts)
+      .filter(([status]) => !statuses || statuses.includes(status))
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    const lineItemsByOrder = await fetchLineItemsByOrder(page.records.map(record => record.id));
+    
+    const orders = page.records.map(record => formatWorkstationOrder(record, lineItemsByOrder.get(record.id)));
+
+    console.log(`✅ Found ${orders.length} of ${total} orders for workstation`);
+    
+    const body = {
+      success: true,
+      orders,
+      total,
+      counts,
+      pagination: {
+        pageSize,
+        nextCursor: page.nextCursor,
+        hasMore: Boolean(page.nextCursor)
+      }
+    };
+    if (cacheable) {
+      sendCachedJson(req, res, writeCache('orders', req, body));
+    } else {
+      res.json(body);
+    }
+    
+  } catch (error) {
+    console.error('❌ Error fetching workstation orders:', error);
+    res.status(errorStatus(error)).json({ 
+      success: false, 
+      error: 'Failed to fetch orders: ' + error.message
+    });
+  }
+});
+
+// ========== ORDER EVENT STREAM ==========
+
+// Pushes order changes to the workstation so it does not have to poll. Event
+// types: order.created, order.status, order.assigned and order.payment. Each
+// event's data is { order (workstation view), previous: { status, assignedTo },
+// changedBy, stripeEvent }, with the last three only where they apply.
+const orderEvents = createEventHub({ maxClients: Number(process.env.MAX_EVENT_STREAM_CLIENTS || 100) });
+
+// Events are published in order of the changes, after each batch's line items load
+let orderEventQueue = Promise.resolve();
+
+// `entries` are [{ record, ...details }] for the records as they are after the change.
+// Publishing never delays or fails the change itself.
+function publishOrderEvents(type, entries) {
+  if (entries.length === 0) return;
+
+  orderEventQueue = orderEventQueue
+    .then(() => fetchLineItemsByOrder(entries.map(entry => entry.record.id)))
+    .then(lineItemsByOrder => entries.forEach(({ record, ...details }) => orderEvents.publish(type, {
+      ...details,
+      order: formatWorkstationOrder(record, lineItemsByOrder.get(record.id))
+    })))
+    .catch(error => console.error(`❌ Could not publish ${type} events:`, error.message));
+}
+
+// Status and assignee before a change, so clients can drop an order from a filtered view
+function previousState(record) {
+  return {
+    status: record.fields['Order Status'],
+    assignedTo: record.fields['Assigned To'] || ''
+  };
+}
+
+const ORDER_EVENTS_SCHEMA = {
+  query: {
+    status: stringList(),
+    assignedTo: string({ max: 100 }),
+    token: string({ max: 2000 })
+  }
+};
+
+// EventSource cannot send headers, so browsers pass their session token as `token`
+function sessionTokenFromQuery(req, res, next) {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// Stream order events as Server-Sent Events. `status` (comma-separated or
+// repeated) and `assignedTo` ("me", a staff ID or "unassigned") filter on the
+// order's state before or after the change.
+app.get('/api/orders/events', sessionTokenFromQuery, requireStaff(), validateRequest(ORDER_EVENTS_SCHEMA), (req, res) => {
+  const statuses = req.query.status
+    ? [].concat(req.query.status).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean)
+    : null;
+  const unknown = (statuses || []).filter(status => !ORDER_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    return sendValidationError(res, [{ field: 'status', message: `must be order statuses; unknown: ${unknown.join(', ')}` }]);
+  }
+
+  const { assignedTo } = req.query;
+  const assignee = assignedTo === 'me' ? req.staff : { id: assignedTo, name: assignedTo };
+  const matchesAssignee = (value) => (assignedTo === 'unassigned' ? !value : isAssignee(value, assignee));
+
+  const matches = (event) => {
+    const { order, previous } = event.data;
+    const states = [{ status: order.status, assignedTo: order.assignedTo }, ...(previous ? [previous] : [])];
+    return states.some(state => (!statuses || statuses.includes(state.status)) &&
+      (!assignedTo || matchesAssignee(state.assignedTo)));
+  };
+
+  // Checked again on every heartbeat, so streams end once the session token
+  // expires or the staff member is deactivated. The roster is read fresh, as a
+  // deactivation made in Airtable would otherwise wait out its cache.
+  const authorize = async () => Boolean(await authenticateStaff(req, { fresh: true }));
+
+  const subscribed = orderEvents.subscribe(req, res, { matches, authorize, lastEventId: req.headers['last-event-id'] });
+  if (!subscribed) {
+    return res.status(503).json({
+      success: false,
+      error: 'Too many open event streams; try again later'
+    });
+  }
+
+  console.log('📡 Order event stream opened by', req.staff.id, `(${orderEvents.clientCount()} open)`);
+  req.on('close', () => console.log('📡 Order event stream closed for', req.staff.id));
+});
+
+// ========== ORDER EXPORTS AND DOCUMENTS ==========
+
+// Printed on invoices and as the return address on packing slips
+const BUSINESS_DETAILS = {
+  name: process.env.BUSINESS_NAME || 'NepalGoods',
+  address: process.env.BUSINESS_ADDRESS || 'Kathmandu, Nepal',
+  email: process.env.BUSINESS_EMAIL || 'orders@nepalgoods.com',
+  phone: process.env.BUSINESS_PHONE || '',
+  taxId: process.env.BUSINESS_TAX_ID || ''
+};
+const PDF_FONT_FILE = process.env.PDF_FONT_FILE;
+
+// Orders that still need packing, for batch-printed slips
+const PACKING_STATUSES = ['Paid', 'Processing'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'Assigned To' holds a staff member's ID, or their name on older orders
+function isAssignee(value, staffMember) {
+  const assignee = String(value || '').toLowerCase();
+  return assignee !== '' && [staffMember.id, staffMember.name].some(candidate => candidate && candidate.toLowerCase() === assignee);
+}
+
+function isAssignedTo(record, staffMember) {
+  return isAssignee(record.fields['Assigned To'], staffMember);
+}
+
+// Time bounds (ms, inclusive) for `from` and `to` query dates; a date-only `to`
+// covers that whole day
+function dateRange(from, to) {
+  return {
+    start: from ? Date.parse(from) : -Infinity,
+    end: to ? Date.parse(to) + (to.length === 10 ? DAY_MS - 1 : 0) : Infinity
+  };
+}
+
+// Sales records matching { from, to, statuses, assignedTo }, newest first,
+// filtered by the storage backend with the same rules as the workstation list.
+// `assignedTo` is "me", a staff ID or a staff name.
+async function listOrdersMatching({ from, to, statuses, assignedTo }, currentStaff) {
+  const { filter } = await buildOrderFilter({ from, to, assignedTo }, currentStaff);
+  if (statuses) {
+    filter.statuses = statuses;
+  }
+  return storage.orders.list({ filter, sort: ORDER_SORTS.newest });
+}
+
+// CSV columns, named after the Sales fields they come from
+const ORDER_EXPORT_COLUMNS = [
+  'Order ID',
+  'Order Date',
+  'Order Status',
+  'Customer Name',
+  'Customer Email',
+  'Customer Phone',
+  'Shipping Address',
+  'Order Items',
+  'Currency',
+  'Subtotal',
+  'Discount Code',
+  'Discount',
+  'Shipping',
+  'Tax',
+  'Service Fee',
+  'Total',
+  'Refund Amount',
+  'Shipping Service',
+  'Shipping Weight',
+  'Tracking Number',
+  'Assigned To',
+  'Delivery Notes',
+  'Order Notes'
+];
+
+// Everything an invoice or packing slip shows about an order
+function buildDocumentView(record, lineItems) {
+  const fields = record.fields;
+  return {
+    orderId: fields['Order ID'],
+    orderDate: fields['Order Date'],
+    customerName: fields['Customer Name'] || '',
+    customerEmail: fields['Customer Email'] || '',
+    customerPhone: fields['Customer Phone'] && fields['Customer Phone'] !== 'Not provided' ? fields['Customer Phone'] : '',
+    shippingAddress: fields['Shipping Address'] || '',
+    shippingService: fields['Shipping Service'] || '',
+    shippingWeight: fields['Shipping Weight'] || null,
+    trackingNumber: fields['Tracking Number'] || '',
+    deliveryNotes: fields['Delivery Notes'] || '',
+    orderNotes: fields['Order Notes'] || '',
+    currency: orderCurrency(record),
+    lineItems,
+    orderItems: fields['Order Items'] || '',
+    subtotal: fields['Subtotal'] || 0,
+    discountCode: fields['Discount Code'] || '',
+    discount: fields['Discount'] || 0,
+    shipping: fields['Shipping'] || 0,
+    tax: fields['Tax'] || 0,
+    serviceFee: fields['Service Fee'] || 0,
+    total: fields['Total'] || 0,
+    refundAmount: fields['Refund Amount'] || 0
+  };
+}
+
+// Stream a PDF with one section per record, each starting on a new page
+async function sendOrderPdf(res, records, filename, draw) {
+  const lineItemsByOrder = await fetchLineItemsByOrder(records.map(record => record.id));
+  const doc = createPdf({ fontFile: PDF_FONT_FILE, title: filename });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  // Once the PDF is streaming the status is gone; cut the response short instead
+  doc.on('error', error => {
+    console.error('❌ Error writing PDF:', error);
+    res.destroy(error);
+  });
+  doc.pipe(res);
+
+  try {
+    records.forEach((record, index) => {
+      if (index > 0) doc.addPage();
+      draw(doc, buildDocumentView(record, lineItemsByOrder.get(record.id)), BUSINESS_DETAILS);
+    });
+  } catch (error) {
+    // Nothing flushed yet: detach the PDF so the caller can still answer with JSON
+    if (!res.headersSent) {
+      doc.unpipe(res);
+      res.removeHeader('Content-Disposition');
+    }
+    throw error;
+  }
+  doc.end();
+}
+
+const EXPORT_FILTER_QUERY = {
+  from: dateTime(),
+  to: dateTime(),
+  status: string({ oneOf: ORDER_STATUSES }),
+  assignedTo: string({ max: 100 })
+};
+
+// Filtered orders as CSV, written row by row
+app.get('/api/orders/export', requireStaff(), validateRequest({ query: EXPORT_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { from, to, status, assignedTo } = req.query;
+    const records = await listOrdersMatching({ from, to, statuses: status && [status], assignedTo }, req.staff);
+
+    console.log(`📤 Exporting ${records.length} orders as CSV for`, req.staff.id);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="orders-${new Date().toISOString().slice(0, 10)}.csv"`);
+    // Byte order mark so spreadsheet apps read the file as UTF-8
+    res.write('\ufeff');
+    res.write(csvRow(ORDER_EXPORT_COLUMNS));
+
+    for (const record of records) {
+      const row = csvRow(ORDER_EXPORT_COLUMNS.map(field => record.fields[field]));
+      if (!res.write(row)) {
+        await once(res, 'drain');
+      }
+    }
+    res.end();
+
+  } catch (error) {
+    console.error('❌ Error exporting orders:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to export orders: ' + error.message
+    });
+  }
+});
+
+// Packing slips for every order assigned to the caller (or `assignedTo`) that
+// still needs packing, oldest first and one per page
+app.get('/api/orders/packing-slips', requireStaff(), validateRequest({ query: EXPORT_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { from, to, status } = req.query;
+    const assignedTo = req.query.assignedTo || 'me';
+    const records = await listOrdersMatching({
+      from,
+      to,
+      statuses: status ? [status] : PACKING_STATUSES,
+      assignedTo
+    }, req.staff);
+
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No orders to print'
+      });
+    }
+
+    console.log(`🖨️ Printing ${records.length} packing slips for`, req.staff.id);
+    await sendOrderPdf(res, records.reverse(), `packing-slips-${new Date().toISOString().slice(0, 10)}.pdf`, drawPackingSlip);
+
+  } catch (error) {
+    console.error('❌ Error printing packing slips:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to print packing slips: ' + error.message
+    });
+  }
+});
+
+// One order's invoice or packing slip
+function orderDocumentRoute(name, draw) {
+  return async (req, res) => {
+    try {
+      const record = await fetchSaleRecord(req.params.recordId);
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found'
+        });
+      }
+
+      await sendOrderPdf(res, [record], `${name}-${record.fields['Order ID']}.pdf`, draw);
+
+    } catch (error) {
+      console.error(`❌ Error generating ${name}:`, error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(errorStatus(error)).json({
+        success: false,
+        error: `Failed to generate ${name}: ` + error.message
+      });
+    }
+  };
+}
+
+app.get('/api/orders/:recordId/invoice', requireStaff(), validateRequest({ params: RECORD_ID_PARAMS }),
+  orderDocumentRoute('invoice', drawInvoice));
+app.get('/api/orders/:recordId/packing-slip', requireStaff(), validateRequest({ params: RECORD_ID_PARAMS }),
+  orderDocumentRoute('packing-slip', drawPackingSlip));
+
+// ========== SALES ANALYTICS ==========
+
+const MAX_REPORT_PERIODS = 1000;
+const INTERVAL_DAYS = { day: 1, week: 7, month: 28 };
+
+// Destination country of an order; older orders only have it at the end of the address
+function orderCountry(record) {
+  if (record.fields['Shipping Country']) return record.fields['Shipping Country'];
+  const last = String(record.fields['Shipping Address'] || '').split(',').pop().trim();
+  return /^[A-Za-z]{2}$/.test(last) ? last.toUpperCase() : 'Unknown';
+}
+
+async function fetchStatusHistoryByOrder(recordIds) {
+  const grouped = new Map(recordIds.map(recordId => [recordId, []]));
+  if (recordIds.length === 0) return grouped;
+
+  const records = await storage.statusHistory.listForOrders(recordIds);
+  records.forEach(record => {
+    const entries = grouped.get(record.fields['Sales Record ID']);
+    if (entries) entries.push({ to: record.fields['To Status'], changedAt: Date.parse(record.fields['Changed At']) });
+  });
+  return grouped;
+}
+
+// Sales records in the report window, shaped for lib/analytics. With `currency`
+// only orders charged in it are counted and amounts stay in it; otherwise every
+// order is converted to USD at the exchange rate stored on it. Line items and
+// status history are only loaded for the reports that need them.
+async function loadReportSales({ from, to, currency }, { withLineItems = false, withHistory = false } = {}) {
+  const records = (await listOrdersMatching({ from, to }))
+    .filter(record => !currency || orderCurrency(record) === currency);
+  const recordIds = records.map(record => record.id);
+
+  const lineItemsByOrder = withLineItems ? await fetchLineItemsByOrder(recordIds) : new Map();
+  const historyByOrder = withHistory ? await fetchStatusHistoryByOrder(recordIds) : new Map();
+
+  const productIds = [...new Set([...lineItemsByOrder.values()].flat().map(item => item.productId).filter(Boolean))];
+  const productRecords = productIds.length > 0 ? await fetchProductsByIds(productIds) : [];
+  const categories = new Map(productRecords.map(record => [record.id, record.fields.Category || '']));
+
+  return records.map(record => {
+    const fields = record.fields;
+    const rate = currency ? 1 : Number(fields['Exchange Rate'] || 1);
+    const toReport = (amount) => Number(amount || 0) / rate;
+
+    return {
+      orderDate: Date.parse(fields['Order Date'] || record.createdTime),
+      status: fields['Order Status'],
+      total: toReport(fields['Total']),
+      refundAmount: toReport(fields['Refund Amount']),
+      country: orderCountry(record),
+      assignedTo: fields['Assigned To'] || '',
+      lineItems: (lineItemsByOrder.get(record.id) || []).map(item => ({
+        ...item,
+        category: categories.get(item.productId) || '',
+        lineTotal: toReport(item.lineTotal)
+      })),
+      history: historyByOrder.get(record.id) || []
+    };
+  });
+}
+
+const ANALYTICS_QUERY = {
+  from: dateTime(),
+  to: dateTime(),
+  currency: CURRENCY_PARAM
+};
+
+// Wrap a report builder as a Manager endpoint. `build(filters, query)` returns the
+// report's fields or { errors }; results share the orders cache.
+function analyticsRoute(name, schema, build) {
+  return [requireStaff('Manager'), validateRequest({ query: { ...ANALYTICS_QUERY, ...schema } }), async (req, res) => {
+    try {
+      const cached = readCache('orders', req);
+      if (cached) {
+        return sendCachedJson(req, res, cached, true);
+      }
+
+      const { from, to } = req.query;
+      const currency = req.query.currency ? req.query.currency.toLowerCase() : null;
+      const report = await build({ from, to, currency }, req.query);
+      if (report.errors) {
+        return sendValidationError(res, report.errors);
+      }
+
+      console.log(`📊 ${name} report for`, req.staff.id);
+
+      sendCachedJson(req, res, writeCache('orders', req, {
+        success: true,
+        from: from || null,
+        to: to || null,
+        currency: currency || BASE_CURRENCY,
+        // Without a currency filter, amounts are converted to USD
+        converted: !currency,
+        ...report
+      }));
+
+    } catch (error) {
+      console.error(`❌ Error building ${name} report:`, error);
+      res.status(errorStatus(error)).json({
+        success: false,
+        error: `Failed to build ${name} report: ` + error.message
+      });
+    }
+  }];
+}
+
+// Revenue, order count and average order value overall and per day, week or month
+app.get('/api/analytics/sales', ...analyticsRoute('sales', {
+  interval: string({ oneOf: INTERVALS })
+}, async (filters, query) => {
+  const interval = query.interval || 'day';
+  const sales = await loadReportSales(filters);
+
+  // Open ends of the range run to the first or last order
+  const { start, end } = dateRange(filters.from, filters.to);
+  const times = sales.map(sale => sale.orderDate);
+  const from = Number.isFinite(start) ? start : times.reduce((a, b) => Math.min(a, b), Infinity);
+  const to = Number.isFinite(end) ? end : times.reduce((a, b) => Math.max(a, b), -Infinity);
+  if ((to - from) / DAY_MS / INTERVAL_DAYS[interval] > MAX_REPORT_PERIODS) {
+    return { errors: [{ field: 'interval', message: `gives more than ${MAX_REPORT_PERIODS} periods for this date range` }] };
+  }
+
+  return {
+    interval,
+    totals: salesTotals(sales),
+    series: Number.isFinite(from) && Number.isFinite(to) ? salesOverTime(sales, { interval, from, to }) : []
+  };
+}));
+
+// Best sellers by units sold
+app.get('/api/analytics/products', ...analyticsRoute('products', {
+  limit: number({ integer: true, min: 1, max: 100, fromString: true })
+}, async (filters, query) => {
+  const limit = query.limit ? Number(query.limit) : 10;
+  const sales = await loadReportSales(filters, { withLineItems: true });
+  return {
+    products: topProducts(sales, limit),
+    categories: topCategories(sales, limit)
+  };
+}));
+
+app.get('/api/analytics/statuses', ...analyticsRoute('statuses', {}, async (filters) => ({
+  statuses: ordersByStatus(await loadReportSales(filters))
+})));
+
+app.get('/api/analytics/refunds', ...analyticsRoute('refunds', {}, async (filters) => ({
+  refunds: refundSummary(await loadReportSales(filters))
+})));
+
+app.get('/api/analytics/countries', ...analyticsRoute('countries', {}, async (filters) => ({
+  countries: salesByCountry(await loadReportSales(filters))
+})));
+
+// Orders handled and Paid → Shipped time per 'Assigned To'
+app.get('/api/analytics/staff', ...analyticsRoute('staff', {}, async (filters) => ({
+  staff: staffThroughput(await loadReportSales(filters, { withHistory: true }))
+})));
+
+// ========== AIRTABLE CONNECTION TEST ==========
+
+// Test Airtable connection
+app.get('/api/test-airtable', async (req, res) => {
+  try {
+    console.log('🧪 Testing Airtable connection...');
+    
+    if (!storage.isConfigured()) {
+      return res.status(500).json({
+        success: false,
+        error: 'Airtable credentials not configured'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Airtable connection test completed',
+      backend: storage.backend,
+      connections: await storage.checkConnection(),
+      tables: {
+        products: 'Products table for product catalog',
+        sales: 'Sales table for order management'
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Airtable test failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Airtable test failed: ' + error.message
+    });
+  }
+});
+
+// ========== BULK ORDER STATUS UPDATE ==========
+
+const MAX_BULK_ORDERS = 500;
+// Airtable writes at most 10 records per request
+const BULK_UPDATE_CHUNK_SIZE = 10;
+
+const BULK_STATUS_SCHEMA = {
+  body: {
+    recordIds: array(recordId({ required: true }), { required: true, min: 1, max: MAX_BULK_ORDERS }),
+    status: string({ required: true, oneOf: ORDER_STATUSES.filter(option => option !== 'Partially Refunded') }),
+    notes: string({ max: 1000 })
+  }
+};
+
+// Update multiple orders status (admin function). With an Idempotency-Key, each
+// order's Stripe refund is sent with a key derived from it.
+app.post('/api/orders/bulk-status-update', requireStaff('Manager'), validateRequest(BULK_STATUS_SCHEMA), idempotent('bulk-status-update'), async (req, res) => {
+  try {
+    const { recordIds, status, notes } = req.body;
+
+    console.log('🔄 Bulk updating order status for', recordIds.length, 'orders');
+    console.log('📊 New status:', status);
+
+    const uniqueIds = [...new Set(recordIds)];
+    const existingRecords = await fetchSalesByIds(uniqueIds);
+    const recordsById = new Map(existingRecords.map(record => [record.id, record]));
+
+    const missing = uniqueIds.filter(recordId => !recordsById.has(recordId));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Some orders were not found',
+        missing
+      });
+    }
+
+    // All-or-nothing: one illegal transition rejects the whole batch
+    const rejected = existingRecords
+      .filter(record => (record.fields['Order Status'] !== status && !canTransition(record.fields['Order Status'], status)) ||
+        (status === 'Cancelled' && hasShipped(record)))
+      .map(record => ({
+        recordId: record.id,
+        orderId: record.fields['Order ID'],
+        currentStatus: record.fields['Order Status']
+      }));
+
+    if (rejected.length > 0) {
+      console.warn(`🚫 Bulk update to ${status} rejected for`, rejected.length, 'orders');
+      return res.status(409).json({
+        success: false,
+        error: `Cannot change ${rejected.length} order(s) to ${status}`,
+        rejected
+      });
+    }
+
+    // Refunds go through Stripe one order at a time; failures are reported per order
+    if (REFUND_STATUSES.includes(status)) {
+      const refunded = [];
+      const failed = [];
+
+      for (const record of existingRecords.filter(candidate => candidate.fields['Order Status'] !== status)) {
+        try {
+          const result = await refundOrCancel(record, status, {
+            reason: notes,
+            staffId: req.staff.id,
+            idempotencyKey: req.idempotencyKey && `${req.idempotencyKey}:${record.id}`
+          });
+          if (result.error) {
+            failed.push({ recordId: record.id, orderId: record.fields['Order ID'], error: result.error });
+          } else {
+            refunded.push({ recordId: record.id, orderId: record.fields['Order ID'], status: result.status, pending: Boolean(result.pending) });
+            if (!result.pending && result.amount > 0) {
+              sendOrderEmail('refunded', record, { refundAmount: fromMinorUnits(result.amount, result.currency), refundReason: notes });
+            }
+          }
+        } catch (error) {
+          console.error('❌ Bulk refund failed for', record.id, error.message);
+          failed.push({ recordId: record.id, orderId: record.fields['Order ID'], error: error.message });
+        }
+      }
+
+      return res.status(failed.length > 0 ? 207 : 200).json({
+        success: failed.length === 0,
+        message: `Updated ${refunded.length} orders to ${status}`,
+        updatedCount: refunded.length,
+        updated: refunded,
+        failed
+      });
+    }
+
+    // Written a chunk at a time, and each chunk's history, events and emails go
+    // out as soon as it is saved, so a failure part way leaves no saved order
+    // without its history. A retry skips orders that already have the status.
+    const updated = [];
+    try {
+      for (let i = 0; i < uniqueIds.length; i += BULK_UPDATE_CHUNK_SIZE) {
+        const chunk = await storage.orders.updateMany(uniqueIds.slice(i, i + BULK_UPDATE_CHUNK_SIZE).map(recordId => ({
+          id: recordId,
+          fields: {
+            'Order Status': status,
+            'Status Updated': new Date().toISOString(),
+            ...(notes && { 'Status Notes': notes })
+          }
+        })));
+        updated.push(...chunk);
+        invalidateCache('orders');
+
+        const changed = chunk.filter(record => recordsById.get(record.id).fields['Order Status'] !== status);
+        changed.forEach(record => notifyStatusChange(record));
+        publishOrderEvents('order.status', changed.map(record => ({
+          record,
+          previous: previousState(recordsById.get(record.id)),
+          changedBy: req.staff.id
+        })));
+        await logStatusHistory(changed.map(record => ({
+          recordId: record.id,
+          orderId: record.fields['Order ID'],
+          fromStatus: recordsById.get(record.id).fields['Order Status'],
+          toStatus: status,
+          changedBy: req.staff.id,
+          notes
+        })));
+      }
+    } catch (error) {
+      console.error(`❌ Bulk status update stopped after ${updated.length} of ${uniqueIds.length} orders:`, error);
+      const updatedIds = new Set(updated.map(record => record.id));
+      return res.status(errorStatus(error)).json({
+        success: false,
+        error: `Bulk status update stopped after ${updated.length} of ${uniqueIds.length} orders: ` + error.message,
+        updatedCount: updated.length,
+        updated: updated.map(record => ({ recordId: record.id, orderId: record.fields['Order ID'], status })),
+        failed: uniqueIds.filter(recordId => !updatedIds.has(recordId))
+          .map(recordId => ({ recordId, orderId: recordsById.get(recordId).fields['Order ID'] }))
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Updated ${updated.length} orders to ${status}`,
+      updatedCount: updated.length
+    });
+
+  } catch (error) {
+    console.error('❌ Bulk status update error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Bulk status update failed: ' + error.message
+    });
+  }
+});
+
+// ========== STRIPE WEBHOOK ==========
+
+// Build Sales fields from a PaymentIntent created by /api/create-payment-intent
+function buildSaleFieldsFromPaymentIntent(paymentIntent, orderLines) {
+  const metadata = paymentIntent.metadata || {};
+  const currency = paymentIntent.currency;
+  const toAmount = (units) => fromMinorUnits(Number(units || 0), currency);
+
+  const shipping = paymentIntent.shipping || {};
+  const address = shipping.address || {};
+  const shippingAddress = address.line1
+    ? `${address.line1}, ${address.city}, ${address.state} ${address.postal_code}, ${address.country}`
+    : 'Not provided';
+
+  return {
+    'Order ID': metadata.order_id || generateOrderId(),
+    'Customer Name': shipping.name || 'Unknown',
+    'Customer Email': paymentIntent.receipt_email || '',
+    'Customer Phone': shipping.phone || 'Not provided',
+    'Shipping Address': shippingAddress,
+    'Shipping Country': address.country || metadata.shipping_country || '',
+    'Order Items': formatOrderLinesText(orderLines, currency),
+    'Subtotal': toAmount(metadata.subtotal),
+    'Discount Code': metadata.discount_code || '',
+    'Discount': toAmount(metadata.discount),
+    'Shipping': toAmount(metadata.shipping),
+    'Tax': toAmount(metadata.tax),
+    'Service Fee': toAmount(metadata.service_fee),
+    'Total': toAmount(paymentIntent.amount_received || paymentIntent.amount),
+    'Currency': currency.toUpperCase(),
+    'Exchange Rate': Number(metadata.exchange_rate || 1),
+    'Shipping Service': metadata.service_level || '',
+    'Shipping Weight': metadata.weight_kg ? Number(metadata.weight_kg) : null,
+    'Payment Method': (paymentIntent.payment_method_types && paymentIntent.payment_method_types[0]) || 'card',
+    'Stripe Payment ID': paymentIntent.id,
+    'Order Status': 'Paid',
+    'Order Date': new Date().toISOString(),
+    'Delivery Notes': metadata.delivery_notes || '',
+    'Order Notes': metadata.order_notes || '',
+    'Status Updated': new Date().toISOString(),
+    'Status Notes': 'Recorded from Stripe webhook',
+    'Assigned To': '',
+    'Tracking Number': '',
+    'Stock Committed': orderLines.length > 0
+  };
+}
+
+// Take the stock of an order saved before its checkout could be trusted, from
+// the cart priced into its payment intent, and send the confirmation held back
+async function confirmHeldOrder(record, paymentIntent) {
+  let confirmed = record;
+  if (!record.fields['Stock Committed']) {
+    const lineItems = decodeLineItemsMetadata(paymentIntent.metadata);
+    confirmed = await updateSaleRecord(record.id, { 'Stock Committed': lineItems.length > 0 });
+    await commitOrderStock(confirmed, lineItems);
+  }
+  sendOrderEmail('order_confirmation', confirmed, { once: true });
+  return confirmed;
+}
+
+// Staff released a held order. The status has already changed, so a payment
+// Stripe cannot confirm leaves the stock reserved and is only logged.
+async function releaseHeldOrder(record) {
+  const paymentId = record.fields['Stripe Payment ID'];
+  if (record.fields['Stock Committed'] || !paymentId) return;
+
+  try {
+    await withPaymentLock(paymentId, async () => {
+      const current = await findSaleByPaymentId(paymentId);
+      if (!current || current.fields['Stock Committed']) return;
+
+      const paymentIntent = await stripe.paymentIntents.retrieve(paymentId);
+      const problems = verifyPaymentForOrder(paymentIntent, current.fields['Total'], orderCurrency(current));
+      if (problems.length > 0) {
+        console.warn('⚠️ Released order has no confirmed payment, stock stays reserved:', current.fields['Order ID'], problems);
+        return;
+      }
+      await confirmHeldOrder(current, paymentIntent);
+      console.log('✅ Stock committed for released order:', current.fields['Order ID']);
+    });
+  } catch (error) {
+    console.error('❌ Failed to confirm released order', record.fields['Order ID'], error.message);
+  }
+}
+
+async function handlePaymentIntentSucceeded(paymentIntent) {
+  await withPaymentLock(paymentIntent.id, async () => {
+    const existing = await findSaleByPaymentId(paymentIntent.id);
+    if (existing) {
+      console.log('♻️ Order already recorded for payment:', paymentIntent.id);
+
+      // An order saved before its payment settled takes its stock and gets its
+      // confirmation now. It is released too, unless also held over its discount code.
+      // Orders whose customer details are in doubt wait for staff to release them.
+      const holdNotes = String(existing.fields['Status Notes'] || '');
+      const heldForPayment = existing.fields['Order Status'] === 'On Hold' && holdNotes.startsWith(PAYMENT_REVIEW_PREFIX)
+        && !holdNotes.includes(CUSTOMER_REVIEW_PREFIX);
+      if (heldForPayment && verifyPaymentForOrder(paymentIntent, existing.fields['Total'], orderCurrency(existing)).length === 0) {
+        let record = await confirmHeldOrder(existing, paymentIntent);
+        if (!holdNotes.includes(DISCOUNT_REVIEW_PREFIX)) {
+          record = await applyPaymentEventStatus(record, 'Paid', 'Payment confirmed by Stripe webhook');
+          console.log('✅ Released held order:', existing.fields['Order ID']);
+        }
+      }
+      return;
+    }
+
+    const lineItems = decodeLineItemsMetadata(paymentIntent.metadata);
+    const orderLines = await describeLineItems(lineItems, paymentIntent.currency);
+    const fields = buildSaleFieldsFromPaymentIntent(paymentIntent, orderLines);
+    const record = await createSaleRecord(fields, orderLines);
+    console.log('✅ Order created from webhook:', fields['Order ID'], record.id);
+
+    await commitOrderStock(record, lineItems);
+
+    await logStatusHistory([{
+      recordId: record.id,
+      orderId: fields['Order ID'],
+      toStatus: fields['Order Status'],
+      changedBy: 'stripe',
+      notes: fields['Status Notes']
+    }]);
+
+    // Usually no email yet; POST /api/orders fills it in and sends the confirmation then
+    if (fields['Customer Email']) {
+      sendOrderEmail('order_confirmation', record, { once: true });
+    }
+  });
+}
+
+async function handlePaymentIntentFailed(paymentIntent) {
+  // Stock held for the checkout goes back on sale
+  if (paymentIntent.metadata && paymentIntent.metadata.order_id) {
+    releaseReservation(paymentIntent.metadata.order_id);
+  }
+
+  const existing = await findSaleByPaymentId(paymentIntent.id);
+  if (!existing) {
+    console.log('ℹ️ Payment failed before an order was recorded:', paymentIntent.id);
+    return;
+  }
+
+  const reason = (paymentIntent.last_payment_error && paymentIntent.last_payment_error.message) || 'unknown reason';
+  await applyPaymentEventStatus(existing, 'On Hold', `Payment failed: ${reason}`);
+}
+
+// Refund events run under the payment lock on a freshly read order, so the
+// several events Stripe sends for one refund settle it only once
+async function handleChargeRefunded(charge) {
+  if (!charge.payment_intent) {
+    console.warn('⚠️ Refund for unknown order, payment:', charge.payment_intent);
+    return;
+  }
+  await withPaymentLock(charge.payment_intent, () => recordChargeRefund(charge));
+}
+
+async function recordChargeRefund(charge) {
+  const existing = await findSaleByPaymentId(charge.payment_intent);
+  if (!existing) {
+    console.warn('⚠️ Refund for unknown order, payment:', charge.payment_intent);
+    return;
+  }
+
+  // A refund requested here that was pending carries its own target status and
+  // items. The charge's total may already include it, so nothing else is
+  // recorded until it settles; settling adds its amount to 'Refund Amount'.
+  const pending = parsePendingRefund(existing);
+  if (pending) {
+    await settlePendingRefund(existing, await stripe.refunds.retrieve(pending.refundId));
+    return;
+  }
+
+  const refundAmount = fromMinorUnits(charge.amount_refunded, charge.currency);
+  const refunded = formatMoney(refundAmount, charge.currency);
+  const fields = { 'Refund Amount': refundAmount };
+
+  // Cancelled orders keep their status; the refund amount is still recorded
+  if (existing.fields['Order Status'] === 'Cancelled') {
+    await updateSaleRecord(existing.id, fields);
+  } else if (charge.refunded) {
+    await applyPaymentEventStatus(existing, 'Refunded', `Refunded ${refunded} in Stripe`, fields);
+  } else {
+    await applyPaymentEventStatus(existing, 'Partially Refunded', `Partial refund recorded in Stripe: ${refunded} refunded so far`, fields);
+  }
+}
+
+// Refunds that were pending and then fail or settle
+async function handleRefundUpdated(refund) {
+  if (!refund.payment_intent) return;
+  await withPaymentLock(refund.payment_intent, async () => {
+    const existing = await findSaleByPaymentId(refund.payment_intent);
+    if (existing) {
+      await settlePendingRefund(existing, refund);
+    }
+  });
+}
+
+async function handleDisputeCreated(dispute) {
+  const existing = dispute.payment_intent ? await findSaleByPaymentId(dispute.payment_intent) : null;
+  if (!existing) {
+    console.warn('⚠️ Dispute for unknown order, payment:', dispute.payment_intent);
+    return;
+  }
+
+  await applyPaymentEventStatus(existing, 'On Hold', `Dispute opened (${dispute.reason}) for ${formatMoney(fromMinorUnits(dispute.amount, dispute.currency), dispute.currency)}`);
+}
+
+// Tell event stream clients about a handled Stripe event on a recorded order.
+// A failure here is logged; it must not make Stripe retry the event.
+async function publishPaymentEvent(event) {
+  try {
+    const object = event.data.object;
+    const paymentIntentId = object.object === 'payment_intent' ? object.id : object.payment_intent;
+    const record = paymentIntentId ? await findSaleByPaymentId(paymentIntentId) : null;
+    if (record) {
+      publishOrderEvents('order.payment', [{ record, stripeEvent: event.type }]);
+    }
+  } catch (error) {
+    console.error('❌ Could not publish payment event', event.id, error.message);
+  }
+}
+
+// Stripe calls this for payment lifecycle events; the signature is checked
+// against the raw body captured by the JSON middleware
+app.post('/api/webhooks/stripe', async (req, res) => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error('❌ Stripe webhook secret not configured');
+    return res.status(500).json({
+      success: false,
+      error: 'Webhook not configured'
+    });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.rawBody, req.headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    console.error('❌ Stripe webhook signature verification failed:', error.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  console.log('🔔 Stripe webhook received:', event.type, event.id);
+
+  try {
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        await handlePaymentIntentSucceeded(event.data.object);
+        break;
+      case 'payment_intent.payment_failed':
+        await handlePaymentIntentFailed(event.data.object);
+        break;
+      case 'charge.refunded':
+        await handleChargeRefunded(event.data.object);
+        break;
+      case 'charge.refund.updated':
+      case 'refund.updated':
+        await handleRefundUpdated(event.data.object);
+        break;
+      case 'charge.dispute.created':
+        await handleDisputeCreated(event.data.object);
+        break;
+      default:
+        console.log('ℹ️ Ignoring Stripe event type:', event.type);
+        return res.json({ received: true });
+    }
+
+    await publishPaymentEvent(event);
+
+    res.json({ received: true });
+
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the event later
+    console.error('❌ Stripe webhook handling failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Webhook processing failed'
+    });
+  }
+});
+
+// ========== CARRIER TRACKING ==========
+
+// Carrier API credentials as JSON keyed by carrier ID, e.g.
+//   CARRIER_CREDENTIALS={"dhl":{"apiKey":"..."},"fedex":{"clientId":"...","clientSecret":"..."}}
+// Carriers without credentials still validate numbers and take webhooks, but are not polled.
+const carriers = createCarriers({
+  credentials: readCredentialConfig('CARRIER_CREDENTIALS'),
+  fixturesDir: process.env.CARRIER_FIXTURES_DIR
+});
+const CARRIER_WEBHOOK_SECRET = process.env.CARRIER_WEBHOOK_SECRET;
+const CARRIER_POLL_INTERVAL_MS = Number(process.env.CARRIER_POLL_INTERVAL_MINUTES || 0) * 60 * 1000;
+
+// Orders that can still be marked Delivered from a carrier event
+const IN_TRANSIT_STATUSES = ['Shipped', 'Partially Refunded'];
+
+function carrierName(carrierId) {
+  const adapter = carriers.get(carrierId);
+  return adapter ? adapter.name : null;
+}
+
+// What the history notes say about the event that delivered an order
+function describeCarrierEvent(carrierId, event, occurredAt) {
+  const where = event.location ? ` at ${event.location}` : '';
+  return `${carrierName(carrierId)}: ${event.description || event.status}${where} (${occurredAt})`;
+}
 
-    // Format shipping address
-    const shippingAddress = `${shipping.address}, ${shipping.city}, ${shipping.state} ${shipping.zip}, ${shipping.country}`;
-    
-    // Format order items for Airtable
-    const orderItemsText = order.items.map(item => 
-      `${item.quantity}x ${item.name}${item.size ? ` (Size: ${item.size})` : ''} - $${item.price}`
-    ).join('\n');
+// Save the newest of a shipment's events (oldest first) on its order and move the
+// order to Delivered when the carrier reports delivery. Events no newer than the
+// last one saved are ignored, so webhook retries and repeated polls change nothing.
+async function applyCarrierEvents(record, carrierId, events) {
+  const savedAt = Date.parse(record.fields['Carrier Status At']) || 0;
+  const fresh = events
+    .map(event => ({ ...event, occurredAt: new Date(Date.parse(event.occurredAt) || Date.now()).toISOString() }))
+    .filter(event => Date.parse(event.occurredAt) > savedAt);
+  if (fresh.length === 0) {
+    return { record, updated: false, delivered: false };
+  }
 
-    console.log('💾 Preparing to save to Airtable...');
+  const latest = fresh[fresh.length - 1];
+  const fields = {
+    'Carrier': carrierId,
+    'Carrier Status': latest.status,
+    'Carrier Status At': latest.occurredAt
+  };
 
-    // Order Status Definitions
-    const orderStatus = 'Paid'; // Initial status when payment is successful
-
-    // Save to Airtable
-    const airtableResponse = await fetch(`https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/Sales`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        records: [
-          {
-            fields: {
-              'Order ID': orderId,
-              'Customer Name': `${customer.firstName} ${customer.lastName}`,
-              'Customer Email': customer.email,
-              'Customer Phone': customer.phone || 'Not provided',
-              'Shipping Address': shippingAddress,
-              'Order Items': orderItemsText,
-              'Subtotal': order.subtotal,
-              'Shipping': order.shipping,
-              'Tax': order.tax,
-              'Service Fee': order.serviceFee || 0,
-              'Total': order.total,
-              'Payment Method': payment.method || 'card',
-              'Stripe Payment ID': payment.id || 'Unknown',
-              'Order Status': orderStatus,
-              'Order Date': new Date().toISOString(),
-              'Delivery Notes': shipping.notes || '',
-              'Order Notes': notes || '',
-              'Status Updated': new Date().toISOString(),
-              'Assigned To': '', // Initialize empty staff assignment
-              'Tracking Number': '' // Initialize empty tracking number
-            }
-          }
-        ]
-      })
+  const delivery = fresh.find(event => event.status === 'delivered');
+  if (delivery && canTransition(record.fields['Order Status'], 'Delivered')) {
+    const updated = await transitionOrder(record, 'Delivered', {
+      changedBy: `carrier:${carrierId}`,
+      notes: describeCarrierEvent(carrierId, delivery, delivery.occurredAt),
+      fields
     });
+    console.log('📬 Order delivered per carrier:', record.fields['Order ID'], carrierId);
+    notifyStatusChange(updated);
+    return { record: updated, updated: true, delivered: true };
+  }
 
-    console.log('📤 Airtable response status:', airtableResponse.status);
+  return { record: await updateSaleRecord(record.id, fields), updated: true, delivered: false };
+}
 
-    if (!airtableResponse.ok) {
-      const errorText = await airtableResponse.text();
-      console.error('❌ Airtable API error:', errorText);
-      
-      // Try to parse error for better messaging
-      let errorMessage = `Airtable API error: ${airtableResponse.status}`;
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.error?.message || errorText;
-      } catch (e) {
-        errorMessage = errorText;
-      }
-      
-      throw new Error(errorMessage);
+async function listInTransitOrders() {
+  const records = [];
+  let cursor;
+  do {
+    const page = await storage.orders.listPage({ filter: { statuses: IN_TRANSIT_STATUSES }, pageSize: MAX_ORDER_PAGE_SIZE, cursor });
+    records.push(...page.records);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return records;
+}
+
+// Fetch tracking for every shipped order whose carrier can be polled, one at a
+// time to stay inside carrier rate limits. A failure is logged and counted
+// without stopping the rest.
+async function runCarrierPoll() {
+  const summary = { checked: 0, updated: 0, delivered: 0, failed: 0 };
+
+  for (const record of await listInTransitOrders()) {
+    const trackingNumber = record.fields['Tracking Number'];
+    const carrierId = trackingNumber && (record.fields['Carrier'] || carriers.detect(trackingNumber));
+    if (!carrierId || !carriers.isPollable(carrierId)) continue;
+
+    summary.checked += 1;
+    try {
+      const result = await applyCarrierEvents(record, carrierId, await carriers.track(carrierId, trackingNumber));
+      if (result.updated) summary.updated += 1;
+      if (result.delivered) summary.delivered += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`❌ Carrier tracking failed for order ${record.fields['Order ID']} (${carrierId}):`, error.message);
     }
+  }
 
-    const airtableResult = await airtableResponse.json();
-    const recordId = airtableResult.records[0].id;
+  console.log('🚚 Carrier poll finished:', summary);
+  return summary;
+}
 
-    console.log('✅ Order saved successfully to Airtable');
-    console.log('📋 Record ID:', recordId);
-    console.log('🆔 Order ID:', orderId);
-    console.log('💰 Total Amount: $', order.total);
-    console.log('📊 Order Status:', orderStatus);
+// Overlapping calls share the run already in progress
+let carrierPollRun = null;
+function pollCarrierTracking() {
+  if (!carrierPollRun) {
+    carrierPollRun = runCarrierPoll().finally(() => {
+      carrierPollRun = null;
+    });
+  }
+  return carrierPollRun;
+}
 
-    res.json({ 
-      success: true, 
-      orderId,
-      recordId,
-      status: orderStatus,
-      message: 'Order processed successfully'
+if (CARRIER_POLL_INTERVAL_MS > 0) {
+  setInterval(() => {
+    pollCarrierTracking().catch(error => console.error('❌ Carrier poll failed:', error.message));
+  }, CARRIER_POLL_INTERVAL_MS).unref();
+}
+
+// Supported carriers, with an example number of each format
+app.get('/api/carriers', requireStaff(), (req, res) => {
+  res.json({
+    success: true,
+    carriers: carriers.list()
+  });
+});
+
+// Run a carrier poll now instead of waiting for the schedule
+app.post('/api/carriers/poll', requireStaff('Manager'), async (req, res) => {
+  try {
+    const summary = await pollCarrierTracking();
+    res.json({
+      success: true,
+      ...summary
     });
-    
   } catch (error) {
-    console.error('❌ Error processing order:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to process order: ' + error.message
+    console.error('❌ Carrier poll failed:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Carrier poll failed: ' + error.message
     });
   }
 });
 
-// ========== ORDER STATUS MANAGEMENT ==========
-
-// Update order status with staff assignment and tracking
-app.patch('/api/orders/:recordId/status', async (req, res) => {
-  try {
-    const { recordId } = req.params;
-    const { status, trackingNumber, notes, assignedTo } = req.body;
-
-    console.log('🔄 Updating order status for record:', recordId);
-    console.log('📊 New status:', status);
-    console.log('👤 Assigned to:', assignedTo);
-    console.log('📦 Tracking:', trackingNumber);
-    console.log('📝 Notes:', notes);
-
-    // Valid statuses
-    const validStatuses = [
-      'Paid', 
-      'Processing', 
-      'Shipped', 
-      'Delivered', 
-      'Cancelled', 
-      'Refunded', 
-      'On Hold', 
-      'Awaiting Information'
-    ];
-    
-    if (!validStatuses.includes(status)) {
-      console.error('❌ Invalid status provided:', status);
-      return res.status(400).json({
-        success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
-      });
-    }
+const CARRIER_WEBHOOK_SCHEMA = {
+  query: {
+    carrier: string({ required: true, oneOf: CARRIER_IDS })
+  }
+};
 
-    // Update in Airtable
-    const updateFields = {
-      'Order Status': status,
-      'Status Updated': new Date().toISOString()
-    };
+// Carriers push tracking updates to /api/webhooks/order-status?carrier=<id> with
+// CARRIER_WEBHOOK_SECRET in the X-Webhook-Secret header. The body is the
+// carrier's own tracking payload, or events in the common format from
+// lib/carriers. Events for tracking numbers without an order are skipped.
+app.post('/api/webhooks/order-status', validateRequest(CARRIER_WEBHOOK_SCHEMA), async (req, res) => {
+  if (!CARRIER_WEBHOOK_SECRET) {
+    console.error('❌ Carrier webhook secret not configured');
+    return res.status(500).json({
+      success: false,
+      error: 'Webhook not configured'
+    });
+  }
 
-    // Add tracking number if provided
-    if (trackingNumber) {
-      updateFields['Tracking Number'] = trackingNumber;
-    }
+  if (!safeEqual(req.get('X-Webhook-Secret') || '', CARRIER_WEBHOOK_SECRET)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook secret'
+    });
+  }
 
-    // Add staff assignment if provided
-    if (assignedTo) {
-      updateFields['Assigned To'] = assignedTo;
-    }
+  try {
+    const { carrier } = req.query;
+    const events = carriers.parseWebhook(carrier, req.body);
+    console.log('🚚 Carrier webhook received:', carrier, events.length, 'events');
 
-    // Add status notes if provided
-    if (notes) {
-      updateFields['Status Notes'] = notes;
+    if (events.length === 0) {
+      return sendValidationError(res, [{ field: 'body', message: 'contains no tracking events' }]);
     }
 
-    console.log('📋 Update fields:', updateFields);
-
-    const response = await fetch(`https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/Sales`, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${process.env.AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        records: [
-          {
-            id: recordId,
-            fields: updateFields
-          }
-        ]
-      })
+    const byTrackingNumber = new Map();
+    events.forEach(event => {
+      byTrackingNumber.set(event.trackingNumber, [...(byTrackingNumber.get(event.trackingNumber) || []), event]);
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Airtable API error:', errorText);
-      
-      // Try to parse error for better messaging
-      let errorMessage = `Airtable API error: ${response.status}`;
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.error?.message || errorText;
-      } catch (e) {
-        errorMessage = errorText;
+    const shipments = [];
+    for (const [trackingNumber, shipmentEvents] of byTrackingNumber) {
+      const record = await storage.orders.findByTrackingNumber(trackingNumber);
+      if (!record) {
+        console.warn('⚠️ No order for carrier tracking number:', trackingNumber);
+        shipments.push({ trackingNumber, matched: false });
+        continue;
       }
-      
-      throw new Error(errorMessage);
-    }
 
-    const result = await response.json();
-    console.log('✅ Order status updated successfully');
+      // Another carrier's number can look the same; never let it rewrite the order
+      const orderCarrier = record.fields['Carrier'];
+      if (orderCarrier && orderCarrier !== carrier) {
+        console.warn(`⚠️ Carrier webhook from ${carrier} for order ${record.fields['Order ID']} shipped with ${orderCarrier}`);
+        shipments.push({ trackingNumber, matched: false, orderCarrier });
+        continue;
+      }
+
+      const result = await applyCarrierEvents(record, carrier, shipmentEvents);
+      shipments.push({
+        trackingNumber,
+        matched: true,
+        orderId: record.fields['Order ID'],
+        status: result.record.fields['Order Status'],
+        delivered: result.delivered
+      });
+    }
 
     res.json({
       success: true,
-      message: `Order status updated to ${status}`,
-      recordId: recordId,
-      status: status,
-      assignedTo: assignedTo,
-      trackingNumber: trackingNumber,
-      updatedAt: new Date().toISOString()
+      message: 'Webhook processed successfully',
+      shipments
     });
 
   } catch (error) {
-    console.error('❌ Error updating order status:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to update order status: ' + error.message
+    // A non-2xx response makes the carrier retry the event later
+    console.error('❌ Carrier webhook handling failed:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Webhook processing failed'
     });
   }
 });
 
-// Get order status
-app.get('/api/orders/:recordId/status', async (req, res) => {
+// ========== STAFF MANAGEMENT ENDPOINTS ==========
+
+// Staff IDs are what STAFF_API_KEYS, STAFF_PASSWORD_HASHES and 'Assigned To' refer to
+const STAFF_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+const staffId = (options = {}) => string({
+  max: 50,
+  pattern: STAFF_ID_PATTERN,
+  patternMessage: 'must be lowercase letters, digits, dots, dashes or underscores',
+  ...options
+});
+
+const STAFF_ID_PARAMS = { staffId: staffId({ required: true }) };
+
+const STAFF_LIST_SCHEMA = {
+  query: {
+    role: string({ oneOf: STAFF_ROLES }),
+    active: string({ oneOf: ['true', 'false'] })
+  }
+};
+
+const CREATE_STAFF_SCHEMA = {
+  body: {
+    id: staffId({ required: true }),
+    name: string({ required: true, max: 100 }),
+    email: email({ required: true }),
+    role: string({ required: true, oneOf: STAFF_ROLES }),
+    active: boolean()
+  }
+};
+
+const UPDATE_STAFF_SCHEMA = {
+  params: STAFF_ID_PARAMS,
+  body: {
+    name: string({ max: 100 }),
+    email: email(),
+    role: string({ oneOf: STAFF_ROLES }),
+    active: boolean()
+  }
+};
+
+// Another staff member already using `email`, if any
+async function findEmailConflict(emailAddress, exceptStaffId) {
+  const existing = await storage.staff.findByEmail(emailAddress);
+  return existing && existing.id !== exceptStaffId ? existing : null;
+}
+
+// Managers cannot lock themselves out by deactivating or demoting their own account
+function selfLockoutError(req, targetId, changes) {
+  if (targetId !== req.staff.id) return null;
+  if (changes.active === false) return 'You cannot deactivate your own account';
+  if (changes.role && changes.role !== req.staff.role) return 'You cannot change your own role';
+  return null;
+}
+
+// Get staff members, optionally filtered by role and active flag
+app.get('/api/staff', requireStaff(), validateRequest(STAFF_LIST_SCHEMA), async (req, res) => {
   try {
-    const { recordId } = req.params;
+    console.log('👥 Fetching staff members...');
 
-    console.log('📋 Fetching order status for record:', recordId);
+    const { role, active } = req.query;
+    const staff = (await storage.staff.list())
+      .filter(member => !role || member.role === role)
+      .filter(member => !active || member.active === (active === 'true'));
 
-    const response = await fetch(`https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/Sales/${recordId}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
+    res.json({
+      success: true,
+      staff
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching staff:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch staff members'
     });
+  }
+});
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        return res.status(404).json({
-          success: false,
-          error: 'Order not found'
-        });
-      }
-      throw new Error(`Airtable API error: ${response.status}`);
+app.get('/api/staff/:staffId', requireStaff(), validateRequest({ params: STAFF_ID_PARAMS }), async (req, res) => {
+  try {
+    const member = await storage.staff.get(req.params.staffId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found'
+      });
     }
 
-    const record = await response.json();
-    
     res.json({
       success: true,
-      orderId: record.fields['Order ID'],
-      status: record.fields['Order Status'],
-      customerName: record.fields['Customer Name'],
-      total: record.fields['Total'],
-      orderDate: record.fields['Order Date'],
-      statusUpdated: record.fields['Status Updated'],
-      trackingNumber: record.fields['Tracking Number'] || null,
-      assignedTo: record.fields['Assigned To'] || null
+      staff: member
     });
 
   } catch (error) {
-    console.error('❌ Error fetching order status:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to fetch order status: ' + error.message
+    console.error('❌ Error fetching staff member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch staff member'
     });
   }
 });
 
-// ========== ORDER WORKSTATION ENDPOINT ==========
-app.get('/api/orders/workstation', async (req, res) => {
+app.post('/api/staff', requireStaff('Manager'), validateRequest(CREATE_STAFF_SCHEMA), async (req, res) => {
   try {
-    console.log('🏪 Fetching orders for workstation...');
+    const { id, name, email: emailAddress, role, active } = req.body;
 
-    const response = await fetch(`https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/Sales?sort[0][field]=Order Date&sort[0][direction]=desc`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    if (await storage.staff.get(id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Staff ID ${id} is already in use`
+      });
+    }
 
-    if (!response.ok) {
-      throw new Error(`Airtable API error: ${response.status}`);
+    if (await findEmailConflict(emailAddress)) {
+      return res.status(409).json({
+        success: false,
+        error: `${emailAddress} already belongs to another staff member`
+      });
     }
 
-    const data = await response.json();
-    
-    const orders = data.records.map(record => ({
-      recordId: record.id,
-      orderId: record.fields['Order ID'],
-      customerName: record.fields['Customer Name'],
-      customerEmail: record.fields['Customer Email'],
-      customerPhone: record.fields['Customer Phone'],
-      shippingAddress: record.fields['Shipping Address'],
-      orderItems: record.fields['Order Items'],
-      status: record.fields['Order Status'],
-      total: record.fields['Total'],
-      orderDate: record.fields['Order Date'],
-      statusUpdated: record.fields['Status Updated'],
-      trackingNumber: record.fields['Tracking Number'] || '',
-      assignedTo: record.fields['Assigned To'] || '', // This field must exist in Airtable
-      statusNotes: record.fields['Status Notes'] || '',
-      deliveryNotes: record.fields['Delivery Notes'] || '',
-      orderNotes: record.fields['Order Notes'] || ''
-    }));
+    const member = await storage.staff.create({ id, name, email: emailAddress, role, active: active !== false });
+
+    console.log('👤 Staff member added:', member.id, 'by', req.staff.id);
+
+    res.status(201).json({
+      success: true,
+      staff: member
+    });
 
-    console.log(`✅ Found ${orders.length} orders for workstation`);
-    
-    res.json({ success: true, orders });
-    
   } catch (error) {
-    console.error('❌ Error fetching workstation orders:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to fetch orders: ' + error.message
+    console.error('❌ Error adding staff member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add staff member: ' + error.message
     });
   }
 });
 
-// ========== AIRTABLE CONNECTION TEST ==========
-
-// Test Airtable connection
-app.get('/api/test-airtable', async (req, res) => {
+app.patch('/api/staff/:staffId', requireStaff('Manager'), validateRequest(UPDATE_STAFF_SCHEMA), async (req, res) => {
   try {
-    console.log('🧪 Testing Airtable connection...');
-    
-    if (!process.env.AIRTABLE_TOKEN || !process.env.AIRTABLE_BASE_ID) {
-      return res.status(500).json({
+    const { staffId: targetId } = req.params;
+    const changes = Object.fromEntries(['name', 'email', 'role', 'active']
+      .filter(key => req.body[key] !== undefined)
+      .map(key => [key, req.body[key]]));
+
+    const lockout = selfLockoutError(req, targetId, changes);
+    if (lockout) {
+      return res.status(409).json({
         success: false,
-        error: 'Airtable credentials not configured'
+        error: lockout
       });
     }
 
-    // Test connection to Products table
-    const productsResponse = await fetch(`https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/Products?maxRecords=1`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    if (changes.email && await findEmailConflict(changes.email, targetId)) {
+      return res.status(409).json({
+        success: false,
+        error: `${changes.email} already belongs to another staff member`
+      });
+    }
 
-    // Test connection to Sales table
-    const salesResponse = await fetch(`https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/Sales?maxRecords=1`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const member = await storage.staff.update(targetId, changes);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found'
+      });
+    }
 
-    const productsData = productsResponse.ok ? await productsResponse.json() : null;
-    const salesData = salesResponse.ok ? await salesResponse.json() : null;
+    console.log('👤 Staff member updated:', member.id, 'by', req.staff.id);
 
     res.json({
       success: true,
-      message: 'Airtable connection test completed',
-      connections: {
-        products: {
-          connected: productsResponse.ok,
-          recordCount: productsData ? productsData.records.length : 0,
-          error: productsResponse.ok ? null : `HTTP ${productsResponse.status}`
-        },
-        sales: {
-          connected: salesResponse.ok,
-          recordCount: salesData ? salesData.records.length : 0,
-          error: salesResponse.ok ? null : `HTTP ${salesResponse.status}`
-        }
-      },
-      tables: {
-        products: 'Products table for product catalog',
-        sales: 'Sales table for order management'
-      }
+      staff: member
     });
-    
+
   } catch (error) {
-    console.error('❌ Airtable test failed:', error);
+    console.error('❌ Error updating staff member:', error);
     res.status(500).json({
       success: false,
-      error: 'Airtable test failed: ' + error.message
+      error: 'Failed to update staff member: ' + error.message
     });
   }
 });
 
-// ========== BULK ORDER STATUS UPDATE ==========
-
-// Update multiple orders status (admin function)
-app.post('/api/orders/bulk-status-update', async (req, res) => {
+// Staff are deactivated rather than deleted, because orders and status history
+// keep referring to their IDs
+app.delete('/api/staff/:staffId', requireStaff('Manager'), validateRequest({ params: STAFF_ID_PARAMS }), async (req, res) => {
   try {
-    const { recordIds, status, notes } = req.body;
-
-    console.log('🔄 Bulk updating order status for', recordIds.length, 'orders');
-    console.log('📊 New status:', status);
+    const { staffId: targetId } = req.params;
 
-    if (!Array.isArray(recordIds) || recordIds.length === 0) {
-      return res.status(400).json({
+    const lockout = selfLockoutError(req, targetId, { active: false });
+    if (lockout) {
+      return res.status(409).json({
         success: false,
-        error: 'No record IDs provided'
+        error: lockout
       });
     }
 
-    const validStatuses = ['Processing', 'Shipped', 'Delivered', 'Cancelled', 'Refunded', 'On Hold'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    const member = await storage.staff.update(targetId, { active: false });
+    if (!member) {
+      return res.status(404).json({
         success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        error: 'Staff member not found'
       });
     }
 
-    const records = recordIds.map(recordId => ({
-      id: recordId,
-      fields: {
-        'Order Status': status,
-        'Status Updated': new Date().toISOString(),
-        ...(notes && { 'Status Notes': notes })
-      }
-    }));
-
-    const response = await fetch(`https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/Sales`, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${process.env.AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ records })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Airtable API error: ${response.status} - ${errorText}`);
-    }
-
-    const result = await response.json();
+    console.log('👤 Staff member deactivated:', member.id, 'by', req.staff.id);
 
     res.json({
       success: true,
-      message: `Updated ${result.records.length} orders to ${status}`,
-      updatedCount: result.records.length
+      staff: member
     });
 
   } catch (error) {
-    console.error('❌ Bulk status update error:', error);
+    console.error('❌ Error deactivating staff member:', error);
     res.status(500).json({
       success: false,
-      error: 'Bulk status update failed: ' + error.message
+      error: 'Failed to deactivate staff member: ' + error.message
     });
   }
 });
 
-// ========== ORDER STATUS WEBHOOK (for automation) ==========
+// ========== ORDER ASSIGNMENT ==========
 
-// Webhook for automated status updates (optional)
-app.post('/api/webhooks/order-status', async (req, res) => {
+// Orders in these statuses still need work from their assignee and count
+// towards their workload
+const OPEN_ORDER_STATUSES = ['Paid', 'Processing', 'On Hold', 'Awaiting Information'];
+// Finished orders cannot be assigned
+const CLOSED_ORDER_STATUSES = ['Delivered', 'Cancelled', 'Refunded'];
+const ASSIGNMENT_STRATEGIES = ['least-loaded', 'round-robin'];
+
+const ASSIGN_ORDERS_SCHEMA = {
+  body: {
+    recordIds: array(recordId({ required: true }), { required: true, min: 1, max: MAX_BULK_ORDERS }),
+    staffId: string({ max: 100 }),
+    strategy: string({ oneOf: ASSIGNMENT_STRATEGIES }),
+    role: string({ oneOf: STAFF_ROLES })
+  }
+};
+
+// Open order count and latest 'Assigned At' for each candidate
+function staffWorkloads(candidates, records) {
+  return candidates.map(member => {
+    const assigned = records.filter(record => isAssignedTo(record, member));
+    return {
+      member,
+      open: assigned.filter(record => OPEN_ORDER_STATUSES.includes(record.fields['Order Status'])).length,
+      lastAssignedAt: assigned.reduce((latest, record) => Math.max(latest, Date.parse(record.fields['Assigned At'] || '') || 0), 0)
+    };
+  });
+}
+
+// least-loaded: fewest open orders. round-robin: longest since their last
+// assignment, so staff who have never been assigned go first. Ties go to the
+// earlier staff member in the roster.
+function pickAssignee(workloads, strategy) {
+  const score = strategy === 'round-robin' ? (load) => load.lastAssignedAt : (load) => load.open;
+  return workloads.reduce((best, load) => (score(load) < score(best) ? load : best));
+}
+
+// Assign orders to a named staff member, or automatically among the active
+// staff with `role` (default Processor)
+app.post('/api/orders/assign', requireStaff(), validateRequest(ASSIGN_ORDERS_SCHEMA), async (req, res) => {
   try {
-    const { recordId, event, data } = req.body;
-    
-    console.log('🤖 Order status webhook triggered:', { recordId, event });
+    const { recordIds, staffId: requestedId, strategy = 'least-loaded', role = 'Processor' } = req.body;
+
+    const permissions = ROLE_PERMISSIONS[req.staff.role];
+    if (!permissions || !permissions.canAssign) {
+      return res.status(403).json({
+        success: false,
+        error: `${req.staff.role} staff cannot assign orders`
+      });
+    }
+
+    const uniqueIds = [...new Set(recordIds)];
+    const records = await fetchSalesByIds(uniqueIds);
+    const foundIds = new Set(records.map(record => record.id));
+
+    const missing = uniqueIds.filter(recordId => !foundIds.has(recordId));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Some orders were not found',
+        missing
+      });
+    }
+
+    const rejected = records
+      .filter(record => CLOSED_ORDER_STATUSES.includes(record.fields['Order Status']))
+      .map(record => ({
+        recordId: record.id,
+        orderId: record.fields['Order ID'],
+        currentStatus: record.fields['Order Status']
+      }));
+
+    if (rejected.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot assign ${rejected.length} finished order(s)`,
+        rejected
+      });
+    }
+
+    let workloads;
+    if (requestedId) {
+      const member = await findActiveStaff(requestedId);
+      if (!member) {
+        return sendValidationError(res, [{ field: 'staffId', message: 'must be the ID of an active staff member' }]);
+      }
+      workloads = [{ member, open: 0, lastAssignedAt: 0 }];
+    } else {
+      const candidates = (await storage.staff.list()).filter(member => member.active && member.role === role);
+      if (candidates.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: `No active ${role} staff to assign orders to`
+        });
+      }
+      const others = (await storage.orders.list()).filter(record => !foundIds.has(record.id));
+      workloads = staffWorkloads(candidates, others);
+    }
+
+    console.log(`👤 Assigning ${records.length} order(s)`, requestedId ? `to ${requestedId}` : `by ${strategy} among ${role} staff`, 'for', req.staff.id);
+
+    const assignments = [];
+    for (const record of records) {
+      const load = pickAssignee(workloads, strategy);
+      const assignedAt = new Date().toISOString();
+
+      const updated = await updateSaleRecord(record.id, {
+        'Assigned To': load.member.id,
+        'Assigned At': assignedAt
+      });
+      publishOrderEvents('order.assigned', [{ record: updated, previous: previousState(record), changedBy: req.staff.id }]);
 
-    // You can implement automated status updates here
-    // For example:
-    // - Auto-update to "Processing" after 1 hour
-    // - Integration with shipping carriers
-    // - Inventory management updates
+      load.open += OPEN_ORDER_STATUSES.includes(record.fields['Order Status']) ? 1 : 0;
+      load.lastAssignedAt = Date.parse(assignedAt);
+      assignments.push({
+        recordId: record.id,
+        orderId: record.fields['Order ID'],
+        assignedTo: load.member.id,
+        previouslyAssignedTo: record.fields['Assigned To'] || null
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Webhook processed successfully'
+      strategy: requestedId ? 'manual' : strategy,
+      assignments
     });
 
   } catch (error) {
-    console.error('❌ Webhook error:', error);
-    res.status(500).json({
+    console.error('❌ Error assigning orders:', error);
+    res.status(errorStatus(error)).json({
       success: false,
-      error: 'Webhook processing failed'
+      error: 'Failed to assign orders: ' + error.message
     });
   }
 });
 
-// ========== STAFF MANAGEMENT ENDPOINTS ==========
+const MY_QUEUE_SCHEMA = {
+  query: {
+    status: string({ oneOf: ORDER_STATUSES })
+  }
+};
 
-// Get available staff members
-app.get('/api/staff', (req, res) => {
+// Orders assigned to the caller, oldest first. Without `status` only open orders
+// are listed. Not cached, because the same URL gives each staff member a different list.
+app.get('/api/orders/my-queue', requireStaff(), validateRequest(MY_QUEUE_SCHEMA), async (req, res) => {
   try {
-    console.log('👥 Fetching staff members...');
-    
-    // In a real application, this would come from your database
-    // For now, we'll return a static list
-    const staffMembers = [
-      { id: 'john', name: 'John Doe', email: 'john@nepalgoods.com', role: 'Manager' },
-      { id: 'jane', name: 'Jane Smith', email: 'jane@nepalgoods.com', role: 'Processor' },
-      { id: 'mike', name: 'Mike Johnson', email: 'mike@nepalgoods.com', role: 'Shipper' },
-      { id: 'sarah', name: 'Sarah Wilson', email: 'sarah@nepalgoods.com', role: 'Processor' },
-      { id: 'david', name: 'David Brown', email: 'david@nepalgoods.com', role: 'Shipper' }
-    ];
+    const statuses = req.query.status ? [req.query.status] : OPEN_ORDER_STATUSES;
+    const records = (await listOrdersMatching({ statuses, assignedTo: 'me' }, req.staff)).reverse();
+    const lineItemsByOrder = await fetchLineItemsByOrder(records.map(record => record.id));
+
+    console.log(`📥 ${records.length} order(s) in the queue of`, req.staff.id);
 
     res.json({
       success: true,
-      staff: staffMembers
+      staffId: req.staff.id,
+      orders: records.map(record => formatWorkstationOrder(record, lineItemsByOrder.get(record.id)))
     });
-    
+
   } catch (error) {
-    console.error('❌ Error fetching staff:', error);
-    res.status(500).json({
+    console.error('❌ Error fetching queue:', error);
+    res.status(errorStatus(error)).json({
       success: false,
-      error: 'Failed to fetch staff members'
+      error: 'Failed to fetch queue: ' + error.message
     });
   }
 });
@@ -761,20 +4851,46 @@ app.use('*', (req, res) => {
     path: req.originalUrl,
     availableEndpoints: {
       products: 'GET /api/products',
+      productFacets: 'GET /api/products/facets',
+      product: 'GET /api/products/:id',
+      shippingQuote: 'POST /api/shipping/quote',
+      applyPromotion: 'POST /api/promotions/apply',
+      promotions: 'GET /api/promotions',
       createPayment: 'POST /api/create-payment-intent',
       createOrder: 'POST /api/orders',
+      trackOrder: 'POST /api/orders/track',
       updateStatus: 'PATCH /api/orders/:recordId/status',
       workstation: 'GET /api/orders/workstation',
+      exportOrders: 'GET /api/orders/export',
+      invoice: 'GET /api/orders/:recordId/invoice',
+      packingSlip: 'GET /api/orders/:recordId/packing-slip',
+      analytics: 'GET /api/analytics/{sales,products,statuses,refunds,countries,staff}',
       testAirtable: 'GET /api/test-airtable',
-      staff: 'GET /api/staff'
+      staff: 'GET /api/staff',
+      staffMember: 'GET /api/staff/:staffId',
+      addStaff: 'POST /api/staff',
+      updateStaff: 'PATCH /api/staff/:staffId',
+      deactivateStaff: 'DELETE /api/staff/:staffId',
+      assignOrders: 'POST /api/orders/assign',
+      myQueue: 'GET /api/orders/my-queue',
+      orderEvents: 'GET /api/orders/events',
+      carriers: 'GET /api/carriers',
+      pollCarriers: 'POST /api/carriers/poll',
+      carrierWebhook: 'POST /api/webhooks/order-status?carrier=:carrier',
+      login: 'POST /api/auth/login'
     }
   });
 });
 
 // Global error handler
 app.use((error, req, res, next) => {
+  // Malformed JSON is rejected by express.json() before any route runs
+  if (error.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ field: 'body', message: 'must be valid JSON' }]);
+  }
+
   console.error('💥 Unhandled error:', error);
-  res.status(500).json({
+  res.status(errorStatus(error)).json({
     success: false,
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
@@ -789,11 +4905,12 @@ app.listen(PORT, () => {
 🚀 NepalGoods Backend Server Started!
 📍 Port: ${PORT}
 🌍 Environment: ${process.env.NODE_ENV || 'development'}
-🔐 Services: ${process.env.STRIPE_SECRET_KEY ? '✓ Stripe' : '✗ Stripe'} ${process.env.AIRTABLE_TOKEN ? '✓ Airtable' : '✗ Airtable'}
+🔐 Services: ${process.env.STRIPE_SECRET_KEY ? '✓ Stripe' : '✗ Stripe'} ${storage.isConfigured() ? '✓' : '✗'} Storage (${storage.backend})
 📊 Order Status System: Active
 👤 Staff Assignment: Enabled
-📦 Tracking Numbers: Supported
-✅ Available Statuses: Paid, Processing, Shipped, Delivered, Cancelled, Refunded, On Hold, Awaiting Information
+📦 Carrier Tracking: ${carriers.list().map(carrier => carrier.name).join(', ')}${CARRIER_POLL_INTERVAL_MS > 0 ? ` (polled every ${CARRIER_POLL_INTERVAL_MS / 60000} min)` : ''}
+💱 Currencies: ${SUPPORTED_CURRENCIES.map(currency => currency.toUpperCase()).join(', ')}
+✅ Available Statuses: ${ORDER_STATUSES.join(', ')}
 ✅ Ready to accept requests...
   `);
   
@@ -803,5 +4920,9 @@ app.listen(PORT, () => {
   - Airtable Base: ${process.env.AIRTABLE_BASE_ID ? '✓ Configured' : '✗ Missing'}
   - Airtable Token: ${process.env.AIRTABLE_TOKEN ? '✓ Configured' : '✗ Missing'}
   - Stripe Secret: ${process.env.STRIPE_SECRET_KEY ? '✓ Configured' : '✗ Missing'}
+  - Stripe Webhook Secret: ${process.env.STRIPE_WEBHOOK_SECRET ? '✓ Configured' : '✗ Missing'}
+  - Staff Auth Secret: ${process.env.AUTH_SECRET ? '✓ Configured' : '✗ Missing'}
+  - Email Transport: ${notifier.transport}
+  - Carrier Webhook Secret: ${CARRIER_WEBHOOK_SECRET ? '✓ Configured' : '✗ Missing'}
   `);
 });